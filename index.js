@@ -4,18 +4,41 @@ const dotenv = require('dotenv');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const stripe = require('stripe');
+const redis = require('redis');
+const crypto = require('crypto');
 const User = require('./models/User');
 const SubscriptionPlan = require('./models/SubscriptionPlan');
 const DeletedUserFeedback = require('./models/DeletedUserFeedback');
+const AuditLog = require('./models/AuditLog');
+const DataExport = require('./models/DataExport');
+const ApiKey = require('./models/ApiKey');
+const Session = require('./models/Session');
 const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const archiver = require('archiver');
+const { authenticator } = require('otplib');
 
 dotenv.config();
 
 const app = express();
+
+// Behind nginx, req.ip must come from X-Forwarded-For for rate limiting and audit logs
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 const stripeClient = stripe(process.env.STRIPE_SECRET_KEY);
 
 // Initialize Redis client
-const redisClient = redis.createClient(process.env.REDIS_URI || 'redis://redis:6379');
+const redisClient = redis.createClient({
+  url: process.env.REDIS_URI || 'redis://redis:6379',
+  legacyMode: true // Keep the callback API that the promisified helpers below rely on
+});
+
+redisClient.connect().catch((err) => {
+  console.error('Redis connection error:', err);
+});
 
 // Promisify Redis commands
 const redisGet = promisify(redisClient.get).bind(redisClient);
@@ -23,6 +46,40 @@ const redisSet = promisify(redisClient.set).bind(redisClient);
 const redisDel = promisify(redisClient.del).bind(redisClient);
 const redisExpire = promisify(redisClient.expire).bind(redisClient);
 const redisKeys = promisify(redisClient.keys).bind(redisClient);
+const redisSadd = promisify(redisClient.sadd).bind(redisClient);
+const redisSrem = promisify(redisClient.srem).bind(redisClient);
+const redisSmembers = promisify(redisClient.smembers).bind(redisClient);
+const redisIncr = promisify(redisClient.incr).bind(redisClient);
+const redisTtl = promisify(redisClient.ttl).bind(redisClient);
+const redisEval = promisify(redisClient.eval).bind(redisClient);
+
+// Take a short-lived Redis lock. Returns the holder's token, or null if someone else holds it.
+async function acquireLock(key, seconds) {
+  const token = crypto.randomUUID();
+  const acquired = await redisSet(key, token, 'NX', 'EX', seconds);
+  return acquired ? token : null;
+}
+
+// Extend a lock that is still ours, for work that outlasts its first expiry
+async function renewLock(key, token, seconds) {
+  await redisEval(
+    "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('EXPIRE', KEYS[1], ARGV[2]) end return 0",
+    1,
+    key,
+    token,
+    seconds
+  );
+}
+
+// Release a lock only if it is still ours; once expired it may belong to someone else
+async function releaseLock(key, token) {
+  await redisEval(
+    "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end return 0",
+    1,
+    key,
+    token
+  );
+}
 
 // Handle Redis connection events
 redisClient.on('connect', () => {
@@ -98,10 +155,11 @@ app.post('/webhook', express.raw({type: 'application/json'}), async (req, res) =
           }
           
           if (userId) {
+            // Manually captured orders were authorized first
             await updateOrderStatus(
               userId,
               event.data.object.metadata.orderId, 
-              'completed', 
+              event.data.object.capture_method === 'manual' ? 'captured' : 'completed', 
               'succeeded'
             );
           } else {
@@ -130,10 +188,20 @@ app.post('/webhook', express.raw({type: 'application/json'}), async (req, res) =
         await handlePaymentRequiresAction(event.data.object);
         break;
       
+      case 'payment_intent.processing':
+        console.log('Processing payment_intent.processing event');
+        await handlePaymentProcessing(event.data.object);
+        break;
+      
       case 'payment_intent.canceled':
         console.log('Processing payment_intent.canceled event');
         await handleCanceledPayment(event.data.object);
         break;
+
+      case 'payment_intent.amount_capturable_updated':
+        console.log('Processing payment_intent.amount_capturable_updated event');
+        await handleAuthorizedPayment(event.data.object);
+        break;
       
       case 'payment_intent.created':
         console.log('Payment intent created, no action needed');
@@ -152,6 +220,44 @@ app.post('/webhook', express.raw({type: 'application/json'}), async (req, res) =
         // You could handle failed charges separately if needed
         break;
       
+      case 'charge.refunded':
+        console.log('Processing charge.refunded event');
+        await handleChargeRefunded(event.data.object);
+        break;
+      
+      case 'charge.refund.updated':
+        console.log('Processing charge.refund.updated event');
+        await recordRefund(event.data.object);
+        break;
+      
+      case 'payment_method.attached':
+      case 'payment_method.updated':
+      case 'payment_method.automatically_updated':
+        console.log(`Processing ${event.type} event`);
+        await handlePaymentMethodChanged(event.data.object);
+        break;
+      
+      case 'payment_method.detached':
+        console.log('Processing payment_method.detached event');
+        await handlePaymentMethodDetached(event.data.object);
+        break;
+      
+      case 'customer.updated':
+        console.log('Processing customer.updated event');
+        await handleCustomerUpdated(event.data.object);
+        break;
+      
+      case 'checkout.session.completed':
+        console.log('Processing checkout.session.completed event');
+        await handleCheckoutSessionCompleted(event.data.object);
+        break;
+      
+      case 'checkout.session.async_payment_succeeded':
+      case 'checkout.session.async_payment_failed':
+        console.log(`Processing ${event.type} event`);
+        await handleCheckoutSessionAsyncPayment(event.data.object, event.type === 'checkout.session.async_payment_succeeded');
+        break;
+      
       case 'customer.subscription.created':
         console.log('Processing customer.subscription.created event');
         await handleSubscriptionCreated(event.data.object);
@@ -198,6 +304,168 @@ mongoose.connect(process.env.MONGO_URI)
     .then(() => console.log('MongoDB connected'))
     .catch((err) => console.error('MongoDB connection error:', err));
 
+// Access tokens are short-lived; sessions are kept alive by rotating refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30') * 24 * 60 * 60;
+
+// Longest lifetime of an access token we have issued (tokens from before refresh
+// tokens were introduced last 12h); revocation markers only need to live this long
+const TOKEN_REVOCATION_TTL_SECONDS = 12 * 60 * 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Tokens made for one purpose (email links, MFA challenges, export downloads) are signed
+// with a key derived from JWT_SECRET_KEY and the purpose, so they never verify as access
+// tokens or as tokens for another purpose
+function purposeTokenSecret(purpose) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET_KEY).update(`purpose:${purpose}`).digest('hex');
+}
+
+// Sign an access token bound to a session. `mfa` records that the session was
+// opened with a second factor.
+function signAccessToken(user, sessionId, mfa = false) {
+  return jwt.sign(
+    { userId: user._id, email: user.email, customerId: user.customerId, role: user.role, sid: sessionId, mfa },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+// Replace the session record only while it still names the expected refresh token.
+// Returns 1 when rotated, 0 when another token is current and -1 when the session is gone.
+const ROTATE_SESSION_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then return -1 end
+if cjson.decode(current).currentTokenHash ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+return 1
+`;
+
+// Create a refresh token and make it the current one for the session.
+// Older tokens of the session keep their record so that reuse can be detected.
+// When rotating, `previousTokenHash` must still be current or no token is issued (null).
+async function storeRefreshToken(userId, sessionId, { mfa = false, createdAt = Date.now(), previousTokenHash = null } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const tokenHash = hashToken(refreshToken);
+  const sessionRecord = JSON.stringify({ userId: userId.toString(), currentTokenHash: tokenHash, mfa, createdAt });
+
+  if (previousTokenHash) {
+    const rotated = await redisEval(
+      ROTATE_SESSION_SCRIPT,
+      1,
+      `auth:session:${sessionId}`,
+      previousTokenHash,
+      sessionRecord,
+      REFRESH_TOKEN_TTL_SECONDS
+    );
+    if (rotated !== 1) return null;
+  } else {
+    await redisSet(`auth:session:${sessionId}`, sessionRecord, 'EX', REFRESH_TOKEN_TTL_SECONDS);
+  }
+
+  await redisSet(
+    `auth:refresh:${tokenHash}`,
+    JSON.stringify({ userId: userId.toString(), sessionId }),
+    'EX',
+    REFRESH_TOKEN_TTL_SECONDS
+  );
+
+  // The index must outlive every session in it, or revoking the user would miss some
+  await redisSadd(`auth:user-sessions:${userId}`, sessionId);
+  await redisExpire(`auth:user-sessions:${userId}`, REFRESH_TOKEN_TTL_SECONDS);
+
+  return refreshToken;
+}
+
+// Identifies the browser or client a request comes from
+function deviceHashFor(req) {
+  return hashToken(req.get('user-agent') || '');
+}
+
+// Start a new session and issue its access and refresh tokens
+async function issueAuthTokens(req, user, { mfa = false } = {}) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = await storeRefreshToken(user._id, sessionId, { mfa });
+
+  await Session.create({
+    sessionId,
+    userId: user._id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null,
+    deviceHash: deviceHashFor(req),
+    mfa,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000)
+  });
+
+  return {
+    token: signAccessToken(user, sessionId, mfa),
+    refreshToken,
+    sessionId
+  };
+}
+
+// Revoke a single session: its refresh tokens and the access tokens bound to it
+async function revokeSession(userId, sessionId, reason = 'revoked') {
+  await redisDel(`auth:session:${sessionId}`);
+  await redisSrem(`auth:user-sessions:${userId}`, sessionId);
+  await Session.updateOne(
+    { sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+// Reject all access tokens issued to the user before now. Sessions stay valid, so
+// clients pick up fresh claims (e.g. a changed role) on their next refresh.
+async function invalidateAccessTokens(userId) {
+  await redisSet(
+    `auth:tokens-valid-after:${userId}`,
+    Math.floor(Date.now() / 1000).toString(),
+    'EX',
+    TOKEN_REVOCATION_TTL_SECONDS
+  );
+}
+
+// Revoke every session of the user and reject all access tokens issued before now.
+// Sessions started before the cutoff are also refused at refresh, in case one was
+// missing from the Redis index.
+async function revokeUserTokens(userId, reason = 'revoked') {
+  await invalidateAccessTokens(userId);
+  await redisSet(
+    `auth:sessions-valid-after:${userId}`,
+    Date.now().toString(),
+    'EX',
+    REFRESH_TOKEN_TTL_SECONDS
+  );
+
+  // Includes the impersonation sessions the user opened as someone else
+  const ownSessions = { $or: [{ userId }, { impersonatorId: userId }], revokedAt: null };
+  const indexedSessionIds = await redisSmembers(`auth:user-sessions:${userId}`);
+  const openSessionIds = await Session.distinct('sessionId', ownSessions);
+  const sessionIds = new Set([...indexedSessionIds, ...openSessionIds]);
+  for (const sessionId of sessionIds) {
+    await redisDel(`auth:session:${sessionId}`);
+  }
+  await redisDel(`auth:user-sessions:${userId}`);
+  await Session.updateMany(ownSessions, { revokedAt: new Date(), revokedReason: reason });
+}
+
+// Check whether a verified token payload has been revoked
+async function isTokenRevoked(payload) {
+  const validAfter = await redisGet(`auth:tokens-valid-after:${payload.userId}`);
+  // iat has whole seconds, so a token from the same second as the cutoff is rejected too
+  if (validAfter && payload.iat <= parseInt(validAfter)) {
+    return true;
+  }
+
+  // Tokens bound to a session die with it (logout, theft detection)
+  if (payload.sid) {
+    const session = await redisGet(`auth:session:${payload.sid}`);
+    return !session;
+  }
+
+  return false;
+}
+
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -206,244 +474,4399 @@ const authenticateToken = (req, res, next) => {
   }
 
   const token = authHeader.split(' ')[1];
-  jwt.verify(token, process.env.JWT_SECRET_KEY, (err, user) => {
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return res.status(403).json({ message: 'Forbidden: API keys are not accepted on this endpoint' });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET_KEY, async (err, user) => {
     if (err) return res.status(403).json({ message: 'Forbidden: Invalid token' });
+
+    // Purpose-bound tokens (e.g. email verification links) are not access tokens
+    if (user.purpose) return res.status(403).json({ message: 'Forbidden: Invalid token' });
+
+    try {
+      if (await isTokenRevoked(user)) {
+        return res.status(401).json({ message: 'Unauthorized: Token has been revoked' });
+      }
+
+      // Support staff may still look into a suspended account through impersonation
+      if (!user.impersonatorId && await redisGet(`auth:suspended:${user.userId}`)) {
+        return res.status(403).json({ message: 'Forbidden: Account suspended' });
+      }
+    } catch (revocationError) {
+      // Don't lock everyone out if Redis is unavailable, but still refuse tokens
+      // issued before the last password change and suspended accounts
+      console.error('Error checking token revocation:', revocationError);
+      try {
+        const account = await User.findById(user.userId).select('passwordChangedAt active');
+        if (account?.passwordChangedAt && user.iat <= Math.floor(account.passwordChangedAt.getTime() / 1000)) {
+          return res.status(401).json({ message: 'Unauthorized: Token has been revoked' });
+        }
+        if (!user.impersonatorId && account?.active === false) {
+          return res.status(403).json({ message: 'Forbidden: Account suspended' });
+        }
+      } catch (lookupError) {
+        console.error('Error checking password change:', lookupError);
+      }
+    }
+
+    // Impersonation tokens can only read
+    if (user.readOnly && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      return res.status(403).json({ message: 'Forbidden: Impersonation sessions are read-only' });
+    }
+
+    if (user.impersonatorId) {
+      recordAuditLog(req, 'user.impersonation.request', user.userId, {
+        impersonatorId: user.impersonatorId,
+        method: req.method,
+        path: req.originalUrl
+      }, user.impersonatorId);
+    }
+
     req.user = user;
     next();
   });
 };
 
-/**
- * @api {post} /register Register a new user
- * @apiName RegisterUser
- * @apiGroup User
- * @apiDescription Creates a new user account with Stripe customer integration
- * 
- * @apiBody {String} email User's email address
- * @apiBody {String} password User's password (will be hashed)
- * 
- * @apiSuccess {String} message Success message
- * @apiSuccess {Object} user User information
- * @apiSuccess {String} user.email User's email address
- * @apiSuccess {String} user.customerId Stripe customer ID
- * 
- * @apiError {String} message Error message
- */
-app.post('/register', async (req, res) => {
-  const { email, password } = req.body;
-  try {
-    const existingUser = await User.findOne({ email });
-    if (existingUser) return res.status(400).json({ message: 'User already exists' });
-
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    const customer = await stripeClient.customers.create({ email });
-
-    const newUser = new User({
-      email,
-      password: hashedPassword,
-      customerId: customer.id,
-    });
+// Server-to-server API keys
+const API_KEY_PREFIX = process.env.API_KEY_PREFIX || 'sk_live_';
+const API_KEY_MAX_PER_USER = parseInt(process.env.API_KEY_MAX_PER_USER || '10');
+// lastUsedAt is written at most once per interval to keep hot keys from writing on every request
+const API_KEY_LAST_USED_INTERVAL_MS = 60 * 1000;
 
-    await newUser.save();
+// Accept either a user's access token or an API key that carries `scope`.
+// Routes that only use authenticateToken reject API keys.
+const authenticateTokenOrApiKey = (scope) => async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      user: { email: newUser.email, customerId: newUser.customerId },
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+  if (!token || !token.startsWith(API_KEY_PREFIX)) {
+    return authenticateToken(req, res, next);
   }
-});
 
-/**
- * @api {post} /login User login
- * @apiName LoginUser
- * @apiGroup User
- * @apiDescription Authenticates a user and returns a JWT token
- * 
- * @apiBody {String} email User's email address
- * @apiBody {String} password User's password
- * 
- * @apiSuccess {String} message Success message
- * @apiSuccess {String} token JWT authentication token
- * @apiSuccess {Object} user User information
- * @apiSuccess {String} user.email User's email address
- * @apiSuccess {String} user.customerId Stripe customer ID
- * @apiSuccess {Boolean} user.isAdmin Whether user has admin privileges
- * @apiSuccess {Boolean} user.hasSubscription Whether user has an active subscription
- * 
- * @apiError {String} message Error message
- */
-app.post('/login', async (req, res) => {
-  const { email, password } = req.body;
   try {
-    const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ message: 'Invalid credentials' });
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(token) });
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+      return res.status(401).json({ message: 'Unauthorized: Invalid API key' });
+    }
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ message: 'Invalid credentials' });
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ message: `Forbidden: API key is missing the ${scope} scope` });
+    }
 
-    const token = jwt.sign(
-        { userId: user._id, email: user.email, customerId: user.customerId },
-        process.env.JWT_SECRET_KEY,
-        { expiresIn: '12h' }
-    );
+    const owner = await User.findById(apiKey.userId).select('email customerId role active mfaEnabled');
+    if (!owner) {
+      return res.status(401).json({ message: 'Unauthorized: Invalid API key' });
+    }
+    if (!owner.active) {
+      return res.status(403).json({ message: 'Forbidden: Account suspended' });
+    }
 
-    res.status(200).json({
-      message: 'Login successful',
-      token,
-      user: { email: user.email, customerId: user.customerId },
-    });
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_LAST_USED_INTERVAL_MS) {
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip })
+        .catch(error => console.error('Error updating API key usage:', error));
+    }
+
+    req.user = {
+      userId: owner._id.toString(),
+      email: owner.email,
+      customerId: owner.customerId,
+      role: owner.role,
+      apiKeyId: apiKey._id.toString(),
+      scopes: apiKey.scopes,
+      // A key carries the second factor of the session it was created from while MFA stays on
+      mfa: apiKey.mfa === true && owner.mfaEnabled === true
+    };
+    next();
   } catch (error) {
-    console.error(error);
+    console.error('Error authenticating API key:', error);
     res.status(500).json({ message: 'Server error' });
   }
-});
-
-// Payment intent API with Stripe client_secret
+};
 
-// app.post('/create-payment-intent', authenticateToken, async (req, res) => {
-//   const { amount, currency } = req.body;
-//   try {
-//     if (!amount || !currency) {
-//       return res.status(400).json({ message: 'Missing required fields' });
-//     }
+// Admin routes take a user ID in the path; anything that is not an ObjectId names no user
+const validateUserIdParam = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+  next();
+};
 
-//     const paymentIntent = await stripeClient.paymentIntents.create({
-//       amount,
-//       currency,
-//       customer: req.user.customerId,
-//     });
+// Record an administrative action. Failures are logged and never fail the request.
+async function recordAuditLog(req, action, targetUserId, details = {}, actorId = req.user.userId) {
+  try {
+    await AuditLog.create({
+      actorId,
+      action,
+      targetUserId,
+      details,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+  } catch (err) {
+    console.error(`Error recording audit log for ${action}: ${err.message}`);
+  }
+}
 
-//     res.status(200).json({
-//       clientSecret: paymentIntent.client_secret,
-//       message: 'Payment intent created successfully',
-//     });
-//   } catch (error) {
-//     console.error(error);
-//     res.status(500).json({ message: 'Error creating payment intent' });
-//   }
-// });
+// Role-based authorization. 'admin' can do everything; the roles passed in are
+// allowed in addition. Must run after authenticateToken.
+const requireRole = (...roles) => async (req, res, next) => {
+  const allowedRoles = ['admin', ...roles];
+  let role = req.user.role;
 
-// Payment intent API with Stripe client_secret and optional confirmation
-app.post('/create-payment-intent', authenticateToken, async (req, res) => {
-  const { amount, currency, confirm = false } = req.body;
   try {
-    if (!amount || !currency) {
-      return res.status(400).json({ message: 'Missing required fields' });
+    // Tokens issued before roles were added to the claims
+    if (role === undefined) {
+      const user = await User.findById(req.user.userId).select('role');
+      role = user ? user.role : null;
     }
 
-    // Create the payment intent
-    const paymentIntentParams = {
-      amount,
-      currency,
-      customer: req.user.customerId,
-      // Disable redirect-based payment methods
-      automatic_payment_methods: {
-        enabled: false
-      },
-      // Only allow card payments (which don't require redirects)
-      payment_method_types: ['card']
-    };
-    
-    // If confirm is true, add confirmation details
-    if (confirm) {
-      paymentIntentParams.payment_method = 'pm_card_visa';
-      paymentIntentParams.confirm = true;
+    if (!allowedRoles.includes(role)) {
+      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
     }
 
-    const paymentIntent = await stripeClient.paymentIntents.create(paymentIntentParams);
-
-    // Response includes different details based on whether payment was confirmed
-    const response = {
-      message: confirm ? 'Payment intent created and confirmed' : 'Payment intent created successfully',
-      clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id
-    };
-    
-    if (confirm) {
-      response.status = paymentIntent.status;
-      
-      // If payment was confirmed, record in payment history
-      if (paymentIntent.status === 'succeeded') {
-        await User.findByIdAndUpdate(
-          req.user.userId,
-          {
-            $push: {
-              paymentHistory: {
-                paymentIntentId: paymentIntent.id,
-                amount: paymentIntent.amount,
-                currency: paymentIntent.currency,
-                status: paymentIntent.status,
-                paymentMethodId: paymentIntent.payment_method,
-                paymentMethodLast4: 'visa-test'
-              }
-            }
-          }
-        );
-      }
+    // API keys only count when they were created from a session with a second factor
+    if (MFA_REQUIRED_ROLES.includes(role) && !req.user.mfa) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for this role. Enable it and log in again.',
+        code: 'mfa_required'
+      });
     }
 
-    res.status(200).json(response);
+    next();
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Error creating payment intent', error: error.message });
+    console.error('Error checking user role:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-});
+};
 
-// Process payment directly with card with Stripe
-app.post('/process-payment', authenticateToken, async (req, res) => {
-  const { amount, currency } = req.body;
+// Email transports. EMAIL_TRANSPORT picks one of these; 'file' and a local SMTP
+// catcher (e.g. MailHog) are meant for development and tests.
+let smtpTransporter = null;
+
+const emailTransports = {
+  console: async (message) => {
+    console.log(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+  file: async (message) => {
+    const filePath = process.env.EMAIL_FILE_PATH || path.join(__dirname, 'tmp', 'emails.log');
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }) + '\n');
+  },
+  smtp: async (message) => {
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT || '1025'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASSWORD
+        } : undefined
+      });
+    }
+    await smtpTransporter.sendMail(message);
+  }
+};
 
-  if (!amount || !currency) {
-    return res.status(400).json({ message: 'Missing required fields' });
+// Send an email through the configured transport
+async function sendEmail({ to, subject, text, html }) {
+  const transportName = process.env.EMAIL_TRANSPORT || 'console';
+  const transport = emailTransports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${transportName}`);
   }
 
-  try {
-    // Use Stripe's test token instead of raw card data
-    const paymentMethod = await stripeClient.paymentMethods.create({
-      type: 'card',
-      card: {
-        token: 'tok_visa', // Test Visa card token
-      },
-    });
+  await transport({
+    from: process.env.EMAIL_FROM || 'no-reply@example.com',
+    to,
+    subject,
+    text,
+    html
+  });
+}
 
-    const paymentIntent = await stripeClient.paymentIntents.create({
-      amount,
-      currency,
-      payment_method: paymentMethod.id,
-      customer: req.user.customerId,
-      confirm: true,
-      // Disable redirect-based payment methods entirely
-      automatic_payment_methods: {
-        enabled: false
+// Issue a new email verification token, store it on the user and email the link.
+// `email` is the address being verified: the current one, or a pending new one. Each
+// has its own token so that verifying one does not invalidate the link for the other.
+async function sendVerificationEmail(user, email = user.email) {
+  const token = jwt.sign(
+    { userId: user._id, email, purpose: 'email_verification' },
+    purposeTokenSecret('email_verification'),
+    { expiresIn: process.env.EMAIL_VERIFICATION_TOKEN_EXPIRES_IN || '24h' }
+  );
+
+  if (email === user.email) {
+    user.emailVerificationToken = token;
+  } else {
+    user.pendingEmailVerificationToken = token;
+  }
+  await user.save();
+
+  const verifyUrl = `${process.env.APP_BASE_URL || 'http://localhost:3000'}/verify-email/${token}`;
+  await sendEmail({
+    to: email,
+    subject: 'Verify your email address',
+    text: `Please verify your email address by opening the following link:\n\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`
+  });
+}
+
+async function sendNewDeviceLoginEmail(user, req) {
+  await sendEmail({
+    to: user.email,
+    subject: 'New sign-in to your account',
+    text: `Your account was just signed in to from a new device.\n\nTime: ${new Date().toUTCString()}\nIP address: ${req.ip}\nDevice: ${req.get('user-agent') || 'Unknown'}\n\nIf this was you, no action is needed. Otherwise, change your password and sign out of your other sessions.`
+  });
+}
+
+// Copy the profile fields Stripe knows about to the user's Stripe customer
+async function syncCustomerProfileToStripe(user) {
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+
+  await stripeClient.customers.update(user.customerId, {
+    email: user.email,
+    name: name || '',
+    phone: user.phoneNumber || ''
+  });
+}
+
+// Refuse new charges while the account is waiting to be deleted
+const blockPendingDeletion = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('accountDeletionRequested');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.accountDeletionRequested) {
+      return res.status(403).json({
+        message: 'Account is scheduled for deletion. Cancel the deletion to make new payments.',
+        code: 'account_deletion_pending'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking account deletion status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Refuse unverified accounts when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = async (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.userId).select('isEmailVerified');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.isEmailVerified) {
+      return res.status(403).json({
+        message: 'Email verification required',
+        code: 'email_not_verified'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking email verification:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const IDEMPOTENCY_KEY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24') * 60 * 60;
+
+// JSON with sorted object keys, so that the same body always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+// Stripe request options for a call made while handling an Idempotency-Key request.
+// `operation` tells apart the Stripe calls made by one request.
+function stripeIdempotencyOptions(req, operation) {
+  if (!req.idempotencyKey) return {};
+  return { idempotencyKey: hashToken(`${req.idempotencyKey}:${operation}`) };
+}
+
+// Optional Idempotency-Key support. The first final response for a key is stored in Redis
+// and replayed for retries; reusing the key with a different body is a 409.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const recordKey = `idempotency:${req.user.userId}:${req.method}:${req.path}:${key}`;
+  const requestHash = hashToken(stableStringify(req.body || {}));
+
+  try {
+    const created = await redisSet(
+      recordKey,
+      JSON.stringify({ status: 'processing', requestHash }),
+      'EX',
+      IDEMPOTENCY_KEY_TTL_SECONDS,
+      'NX'
+    );
+
+    if (created !== 'OK') {
+      const record = JSON.parse(await redisGet(recordKey));
+      // The key expired between the two calls; claim it again
+      if (!record) return idempotent(req, res, next);
+
+      if (record.requestHash !== requestHash) {
+        return res.status(409).json({
+          message: 'Idempotency-Key has already been used with a different request body',
+          code: 'idempotency_key_reused'
+        });
+      }
+      if (record.status === 'processing') {
+        return res.status(409).json({
+          message: 'A request with this Idempotency-Key is still being processed',
+          code: 'idempotency_request_in_progress'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.body);
+    }
+  } catch (err) {
+    // Stripe still deduplicates the charge itself through the forwarded key
+    console.error(`Idempotency check failed: ${err.message}`);
+    req.idempotencyKey = hashToken(recordKey);
+    return next();
+  }
+
+  req.idempotencyKey = hashToken(recordKey);
+
+  let responded = false;
+  // Release the key if the request ends without a JSON response
+  res.on('close', () => {
+    if (!responded) {
+      redisDel(recordKey).catch(err => console.error(`Error releasing idempotency key: ${err.message}`));
+    }
+  });
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responded = true;
+    // Only final responses are stored. Conflicts, rate limits and server errors release
+    // the key so that the request can be retried.
+    const final = res.statusCode < 500 && ![409, 429].includes(res.statusCode);
+    const store = !final
+      ? redisDel(recordKey)
+      : redisSet(
+        recordKey,
+        JSON.stringify({ status: 'completed', requestHash, statusCode: res.statusCode, body }),
+        'EX',
+        IDEMPOTENCY_KEY_TTL_SECONDS
+      );
+    store.catch(err => console.error(`Error storing idempotent response: ${err.message}`));
+
+    return json(body);
+  };
+
+  next();
+};
+
+// General per-IP request limit, configured by RATE_LIMIT_WINDOW_MS and RATE_LIMIT_MAX_REQUESTS
+const rateLimit = (name) => async (req, res, next) => {
+  const windowSeconds = Math.ceil(parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000') / 1000);
+  const maxRequests = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100');
+  const key = `ratelimit:${name}:${req.ip}`;
+
+  try {
+    const count = await redisIncr(key);
+    if (count === 1) {
+      await redisExpire(key, windowSeconds);
+    }
+
+    if (count > maxRequests) {
+      const retryAfter = Math.max(await redisTtl(key), 1);
+      res.set('Retry-After', retryAfter.toString());
+      return res.status(429).json({
+        message: 'Too many requests. Please try again later.',
+        retryAfter
+      });
+    }
+  } catch (err) {
+    // Don't block requests if Redis is unavailable
+    console.error(`Rate limit check failed: ${err.message}`);
+  }
+
+  next();
+};
+
+// Login brute-force protection. Failures are counted per email and per IP; past
+// LOGIN_BACKOFF_THRESHOLD every failure doubles the wait, and at LOGIN_LOCKOUT_THRESHOLD
+// the account is locked for LOGIN_LOCKOUT_MINUTES.
+const LOGIN_BACKOFF_THRESHOLD = parseInt(process.env.LOGIN_BACKOFF_THRESHOLD || '3');
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10');
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15') * 60;
+const LOGIN_FAILURE_WINDOW_SECONDS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '60') * 60;
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP || '50');
+
+// Seconds until the email or IP may try to log in again (0 if not blocked)
+async function getLoginRetryAfter(email, ip) {
+  try {
+    const [emailTtl, ipTtl] = await Promise.all([
+      redisTtl(`login:blocked:email:${email}`),
+      redisTtl(`login:blocked:ip:${ip}`)
+    ]);
+    return Math.max(emailTtl, ipTtl, 0);
+  } catch (err) {
+    // Don't block logins if Redis is unavailable; the account lock on the user still applies
+    console.error(`Login throttle check failed: ${err.message}`);
+    return 0;
+  }
+}
+
+// Count a failed login and block further attempts when a threshold is reached
+async function recordFailedLogin(email, ip, user) {
+  let failures;
+  try {
+    const emailKey = `login:failures:email:${email}`;
+    failures = await redisIncr(emailKey);
+    await redisExpire(emailKey, LOGIN_FAILURE_WINDOW_SECONDS);
+
+    const ipKey = `login:failures:ip:${ip}`;
+    const ipFailures = await redisIncr(ipKey);
+    if (ipFailures === 1) {
+      await redisExpire(ipKey, LOGIN_FAILURE_WINDOW_SECONDS);
+    }
+
+    let blockSeconds = 0;
+    if (failures >= LOGIN_LOCKOUT_THRESHOLD) {
+      blockSeconds = LOGIN_LOCKOUT_SECONDS;
+    } else if (failures >= LOGIN_BACKOFF_THRESHOLD) {
+      blockSeconds = 2 ** (failures - LOGIN_BACKOFF_THRESHOLD);
+    }
+
+    if (blockSeconds > 0) {
+      await redisSet(`login:blocked:email:${email}`, failures.toString(), 'EX', blockSeconds);
+    }
+
+    if (ipFailures >= LOGIN_MAX_FAILURES_PER_IP) {
+      await redisSet(`login:blocked:ip:${ip}`, ipFailures.toString(), 'EX', LOGIN_LOCKOUT_SECONDS);
+    }
+  } catch (err) {
+    // Failures go uncounted while Redis is unavailable rather than failing the login
+    console.error(`Recording failed login failed: ${err.message}`);
+    return;
+  }
+
+  // Mirror the counter on the user so admins can see and clear it
+  if (user) {
+    user.failedLoginAttempts = failures;
+    user.lastFailedLoginAt = new Date();
+    if (failures >= LOGIN_LOCKOUT_THRESHOLD) {
+      user.lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_SECONDS * 1000);
+    }
+    await user.save();
+  }
+}
+
+// Reset the failure counters of an email (after a successful login or an admin unlock)
+async function clearFailedLogins(email, user) {
+  try {
+    await redisDel(`login:failures:email:${email}`);
+    await redisDel(`login:blocked:email:${email}`);
+  } catch (err) {
+    console.error(`Clearing failed logins failed: ${err.message}`);
+  }
+
+  if (user && (user.failedLoginAttempts || user.lockedUntil)) {
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    await user.save();
+  }
+}
+
+// Reply to a throttled login with Retry-After
+function sendLoginThrottled(res, retryAfter) {
+  res.set('Retry-After', retryAfter.toString());
+  return res.status(429).json({
+    message: 'Too many failed login attempts. Please try again later.',
+    retryAfter
+  });
+}
+
+// Two-factor authentication (TOTP)
+const MFA_ISSUER = process.env.MFA_ISSUER || process.env.MERCHANT_NAME || 'Stripe API';
+const MFA_CHALLENGE_EXPIRES_IN = process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
+const MFA_RECOVERY_CODE_COUNT = 10;
+// Roles that may only use their privileges from a session opened with a second factor
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+authenticator.options = { window: 1 };
+
+function mfaEncryptionKey() {
+  return crypto.createHash('sha256')
+    .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET_KEY)
+    .digest();
+}
+
+// TOTP secrets are encrypted at rest with AES-256-GCM (iv:tag:ciphertext, hex)
+function encryptMfaSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', mfaEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+}
+
+function decryptMfaSecret(payload) {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', mfaEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Generate recovery codes; only their hashes are stored on the user
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < MFA_RECOVERY_CODE_COUNT; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(code => hashToken(code)) };
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^0-9a-f]/g, '').replace(/^(.{5})/, '$1-');
+}
+
+// Check a TOTP code against the user's secret. A code is accepted only once.
+async function verifyTotpCode(user, code, secret = user.mfaSecret) {
+  if (!secret || !code) return false;
+
+  const token = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(token) || !authenticator.check(token, decryptMfaSecret(secret))) {
+    return false;
+  }
+
+  const replayKey = `mfa:used:${user._id}:${token}`;
+  const unused = await redisSet(replayKey, '1', 'EX', 90, 'NX');
+  return unused === 'OK';
+}
+
+// Check a TOTP code or, failing that, consume a recovery code
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code && await verifyTotpCode(user, code)) {
+    return { verified: true, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, mfaRecoveryCodes: codeHash },
+      { $pull: { mfaRecoveryCodes: codeHash } }
+    );
+    if (result.modifiedCount === 1) {
+      user.mfaRecoveryCodes = user.mfaRecoveryCodes.filter(hash => hash !== codeHash);
+      return { verified: true, method: 'recovery_code' };
+    }
+  }
+
+  return { verified: false };
+}
+
+// Finish a login once every required factor has been checked
+async function completeLogin(req, res, user, { mfa = false } = {}) {
+  await clearFailedLogins(user.email, user);
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  // The very first login of an account is not reported as a new device
+  const hasSessions = await Session.exists({ userId: user._id, impersonatorId: null });
+  const knownDevice = hasSessions && await Session.exists({ userId: user._id, deviceHash: deviceHashFor(req) });
+
+  const { token, refreshToken } = await issueAuthTokens(req, user, { mfa });
+
+  if (hasSessions && !knownDevice) {
+    sendNewDeviceLoginEmail(user, req)
+      .catch(error => console.error('Error sending new device email:', error));
+  }
+
+  res.status(200).json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    user: {
+      email: user.email,
+      customerId: user.customerId,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+      mfaEnabled: user.mfaEnabled
+    },
+  });
+}
+
+/**
+ * @api {post} /register Register a new user
+ * @apiName RegisterUser
+ * @apiGroup User
+ * @apiDescription Creates a new user account with Stripe customer integration
+ * 
+ * @apiBody {String} email User's email address
+ * @apiBody {String} password User's password (will be hashed)
+ * @apiBody {String} [firstName] User's first name
+ * @apiBody {String} [lastName] User's last name
+ * @apiBody {String} [phoneNumber] User's phone number
+ * 
+ * @apiSuccess {String} message Success message
+ * @apiSuccess {Object} user User information
+ * @apiSuccess {String} user.email User's email address
+ * @apiSuccess {String} user.customerId Stripe customer ID
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/register', rateLimit('register'), async (req, res) => {
+  const { email, password, firstName, lastName, phoneNumber } = req.body;
+  try {
+    const existingUser = await User.findOne({ email });
+    if (existingUser) return res.status(400).json({ message: 'User already exists' });
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const name = [firstName, lastName].filter(Boolean).join(' ');
+    const customer = await stripeClient.customers.create({
+      email,
+      name: name || undefined,
+      phone: phoneNumber || undefined
+    });
+
+    const newUser = new User({
+      email,
+      password: hashedPassword,
+      firstName,
+      lastName,
+      phoneNumber,
+      customerId: customer.id,
+    });
+
+    await newUser.save();
+
+    // A failed email should not fail the registration; the user can resend it
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (err) {
+      console.error(`Error sending verification email: ${err.message}`);
+    }
+
+    res.status(201).json({
+      message: 'User registered successfully',
+      user: {
+        email: newUser.email,
+        customerId: newUser.customerId,
+        isEmailVerified: newUser.isEmailVerified
       },
-      // Only allow card payments (which don't require redirects in most cases)
-      payment_method_types: ['card']
     });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @api {get} /verify-email/:token Verify email address
+ * @apiName VerifyEmail
+ * @apiGroup User
+ * @apiDescription Marks the user's email as verified using the token sent at registration,
+ * or switches the account to a pending new email address
+ * 
+ * @apiParam {String} token Email verification token
+ * 
+ * @apiSuccess {String} message Success message
+ * 
+ * @apiError {String} message Error message
+ */
+app.get('/verify-email/:token', async (req, res) => {
+  const { token } = req.params;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, purposeTokenSecret('email_verification'));
+  } catch (err) {
+    const message = err.name === 'TokenExpiredError'
+      ? 'Verification link has expired'
+      : 'Invalid verification link';
+    return res.status(400).json({ message });
+  }
+
+  if (payload.purpose !== 'email_verification') {
+    return res.status(400).json({ message: 'Invalid verification link' });
+  }
+
+  try {
+    const user = await User.findById(payload.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isEmailChange = !!user.pendingEmail && user.pendingEmail === payload.email;
+    if (!isEmailChange && user.email !== payload.email) {
+      return res.status(400).json({ message: 'Invalid verification link' });
+    }
+
+    if (!isEmailChange && user.isEmailVerified && !user.emailVerificationToken) {
+      return res.status(200).json({ message: 'Email already verified' });
+    }
+
+    // Only the most recently issued token for the address is accepted
+    const expectedToken = isEmailChange ? user.pendingEmailVerificationToken : user.emailVerificationToken;
+    if (expectedToken !== token) {
+      return res.status(400).json({ message: 'Invalid verification link' });
+    }
+
+    if (isEmailChange) {
+      const emailTaken = await User.exists({ email: payload.email, _id: { $ne: user._id } });
+      if (emailTaken) {
+        return res.status(400).json({ message: 'This email address is already in use' });
+      }
+
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+      user.pendingEmailVerificationToken = undefined;
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    await user.save();
+
+    if (isEmailChange) {
+      // Access tokens carry the email claim
+      await invalidateAccessTokens(user._id);
+
+      try {
+        await syncCustomerProfileToStripe(user);
+      } catch (err) {
+        console.error(`Error syncing email to Stripe customer ${user.customerId}: ${err.message}`);
+      }
+    }
+
+    res.status(200).json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @api {post} /verify-email/resend Resend verification email
+ * @apiName ResendVerificationEmail
+ * @apiGroup User
+ * @apiDescription Issues a new verification token and emails it. The response is
+ * the same whether or not the address is registered.
+ * 
+ * @apiBody {String} email User's email address
+ * 
+ * @apiSuccess {String} message Success message
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/verify-email/resend', rateLimit('verify-email-resend'), async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  try {
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (user && user.pendingEmail) {
+      await sendVerificationEmail(user, user.pendingEmail);
+    } else if (user && !user.isEmailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({
+      message: 'If the account exists and is not yet verified, a verification email has been sent'
+    });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @api {post} /login User login
+ * @apiName LoginUser
+ * @apiGroup User
+ * @apiDescription Authenticates a user and returns a short-lived JWT access token
+ * together with a refresh token for the new session
+ * 
+ * @apiBody {String} email User's email address
+ * @apiBody {String} password User's password
+ * 
+ * @apiSuccess {String} message Success message
+ * @apiSuccess {String} token JWT access token
+ * @apiSuccess {String} refreshToken Refresh token, exchanged at /token/refresh
+ * @apiSuccess {String} expiresIn Access token lifetime
+ * @apiSuccess {Object} user User information
+ * @apiSuccess {String} user.email User's email address
+ * @apiSuccess {String} user.customerId Stripe customer ID
+ * @apiSuccess {String} user.role User's role (user, admin, billing_admin, support, finance)
+ * @apiSuccess {Boolean} user.hasSubscription Whether user has an active subscription
+ * 
+ * @apiError {String} message Error message
+ * @apiError (429) {Number} retryAfter Seconds until the next attempt is allowed (also sent as Retry-After)
+ */
+app.post('/login', rateLimit('login'), async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ message: 'Email and password are required' });
+  }
+
+  try {
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const retryAfter = await getLoginRetryAfter(normalizedEmail, req.ip);
+    if (retryAfter > 0) return sendLoginThrottled(res, retryAfter);
+
+    const user = await User.findOne({ email: normalizedEmail });
+    if (!user) {
+      await recordFailedLogin(normalizedEmail, req.ip, null);
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      return sendLoginThrottled(res, Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000));
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      await recordFailedLogin(normalizedEmail, req.ip, user);
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    if (!user.active) return res.status(403).json({ message: 'Account suspended' });
+
+    // Failed attempts are only cleared once the second factor has been checked too
+    if (user.mfaEnabled) {
+      const mfaToken = jwt.sign(
+        { userId: user._id, purpose: 'mfa_challenge' },
+        purposeTokenSecret('mfa_challenge'),
+        { expiresIn: MFA_CHALLENGE_EXPIRES_IN, jwtid: crypto.randomUUID() }
+      );
+
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken,
+        expiresIn: MFA_CHALLENGE_EXPIRES_IN
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @api {post} /login/mfa Complete a two-factor login
+ * @apiName LoginMfa
+ * @apiGroup User
+ * @apiDescription Exchanges the challenge token returned by /login and a TOTP or
+ * recovery code for an access and refresh token
+ * 
+ * @apiBody {String} mfaToken Challenge token returned by /login
+ * @apiBody {String} [code] 6-digit code from the authenticator app
+ * @apiBody {String} [recoveryCode] Single-use recovery code
+ * 
+ * @apiSuccess {String} token JWT access token
+ * @apiSuccess {String} refreshToken Refresh token
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/login/mfa', rateLimit('login'), async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  if (!mfaToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: 'mfaToken and a code or recovery code are required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(mfaToken, purposeTokenSecret('mfa_challenge'));
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid or expired MFA token. Please log in again.' });
+  }
+
+  if (payload.purpose !== 'mfa_challenge' || !payload.jti) {
+    return res.status(401).json({ message: 'Invalid or expired MFA token. Please log in again.' });
+  }
+
+  try {
+    const user = await User.findById(payload.userId);
+    if (!user || !user.mfaEnabled) {
+      return res.status(401).json({ message: 'Invalid or expired MFA token. Please log in again.' });
+    }
+
+    const retryAfter = await getLoginRetryAfter(user.email, req.ip);
+    if (retryAfter > 0) return sendLoginThrottled(res, retryAfter);
+
+    if (!user.active) return res.status(403).json({ message: 'Account suspended' });
+
+    // A challenge completes one login only. It is claimed before the code is checked so a
+    // replayed challenge cannot use up a recovery code or TOTP step; the claim is given
+    // back when the code is wrong, so mistyped codes may be retried with it.
+    const challengeKey = `mfa:challenge-used:${payload.jti}`;
+    const challengeTtl = Math.max(payload.exp - Math.floor(Date.now() / 1000), 1);
+    const unused = await redisSet(challengeKey, '1', 'EX', challengeTtl, 'NX');
+    if (unused !== 'OK') {
+      return res.status(401).json({ message: 'Invalid or expired MFA token. Please log in again.' });
+    }
+
+    const { verified, method } = await verifySecondFactor(user, { code, recoveryCode });
+    if (!verified) {
+      await redisDel(challengeKey);
+      await recordFailedLogin(user.email, req.ip, user);
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    if (method === 'recovery_code') {
+      await recordAuditLog(req, 'user.mfa.recovery_code_used', user._id, {
+        remainingRecoveryCodes: user.mfaRecoveryCodes.length
+      }, user._id);
+    }
+
+    await completeLogin(req, res, user, { mfa: true });
+  } catch (error) {
+    console.error('Error completing MFA login:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @api {post} /token/refresh Refresh access token
+ * @apiName RefreshToken
+ * @apiGroup User
+ * @apiDescription Exchanges a refresh token for a new access token and a new refresh
+ * token. Each refresh token can be used once; presenting a rotated token again is
+ * treated as theft and revokes the whole session.
+ * 
+ * @apiBody {String} refreshToken Current refresh token
+ * 
+ * @apiSuccess {String} token New JWT access token
+ * @apiSuccess {String} refreshToken New refresh token
+ * @apiSuccess {String} expiresIn Access token lifetime
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/token/refresh', rateLimit('token-refresh'), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const tokenHash = hashToken(refreshToken);
+    const tokenRecord = await redisGet(`auth:refresh:${tokenHash}`);
+    if (!tokenRecord) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const { userId, sessionId } = JSON.parse(tokenRecord);
+    const sessionRecord = await redisGet(`auth:session:${sessionId}`);
+    if (!sessionRecord) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    const session = JSON.parse(sessionRecord);
+    if (session.currentTokenHash !== tokenHash) {
+      // A rotated token came back: either the client or an attacker holds a copy
+      console.warn(`Refresh token reuse detected for user ${userId}, revoking session ${sessionId}`);
+      await revokeSession(userId, sessionId, 'refresh_token_reuse');
+      return res.status(401).json({ message: 'Refresh token reuse detected. Please log in again.' });
+    }
+
+    // Role and email changes only invalidate access tokens; logout-all, password
+    // resets and suspensions end every session started before them
+    const sessionsValidAfter = await redisGet(`auth:sessions-valid-after:${userId}`);
+    if (sessionsValidAfter && !(session.createdAt > parseInt(sessionsValidAfter))) {
+      await revokeSession(userId, sessionId);
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      await revokeSession(userId, sessionId);
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    if (!user.active) {
+      await revokeSession(userId, sessionId);
+      return res.status(403).json({ message: 'Account suspended' });
+    }
+
+    const newRefreshToken = await storeRefreshToken(user._id, sessionId, {
+      mfa: session.mfa === true,
+      createdAt: session.createdAt,
+      previousTokenHash: tokenHash
+    });
+    if (!newRefreshToken) {
+      // Another request rotated this token first: the same reuse as above
+      console.warn(`Concurrent refresh token reuse detected for user ${userId}, revoking session ${sessionId}`);
+      await revokeSession(userId, sessionId, 'refresh_token_reuse');
+      return res.status(401).json({ message: 'Refresh token reuse detected. Please log in again.' });
+    }
+    await Session.updateOne(
+      { sessionId },
+      { lastUsedAt: new Date(), expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000) }
+    );
+
+    res.status(200).json({
+      token: signAccessToken(user, sessionId, session.mfa === true),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @api {post} /logout Log out
+ * @apiName Logout
+ * @apiGroup User
+ * @apiDescription Revokes the current session, including its refresh token and the
+ * access token used for this request
+ * 
+ * @apiSuccess {String} message Success message
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await revokeSession(req.user.userId, req.user.sid, 'logout');
+    } else {
+      // Tokens issued before sessions existed can only be revoked all at once
+      await revokeUserTokens(req.user.userId, 'logout');
+    }
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @api {post} /logout-all Log out everywhere
+ * @apiName LogoutAll
+ * @apiGroup User
+ * @apiDescription Revokes every session and access token of the user
+ * 
+ * @apiSuccess {String} message Success message
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeUserTokens(req.user.userId, 'logout');
+
+    res.status(200).json({ message: 'Logged out from all sessions' });
+  } catch (error) {
+    console.error('Error logging out from all sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+function formatSession(session, currentSessionId = null) {
+  return {
+    id: session.sessionId,
+    current: session.sessionId === currentSessionId,
+    active: !session.revokedAt && session.expiresAt > new Date(),
+    ipAddress: session.ipAddress,
+    userAgent: session.userAgent,
+    mfa: session.mfa,
+    impersonatorId: session.impersonatorId || null,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    revokedAt: session.revokedAt,
+    revokedReason: session.revokedReason
+  };
+}
+
+// Active sessions of a user, or the whole login history with history=true
+async function findUserSessions(userId, query) {
+  const filter = { userId };
+  if (query.history !== 'true') {
+    filter.revokedAt = null;
+    filter.expiresAt = { $gt: new Date() };
+  }
+
+  const limit = Math.min(parseInt(query.limit) || 50, 100);
+  return Session.find(filter).sort({ createdAt: -1 }).limit(limit);
+}
+
+/**
+ * @api {get} /sessions List sessions
+ * @apiName GetSessions
+ * @apiGroup User
+ * @apiDescription Lists the devices the account is logged in on. Ended sessions are
+ * included with history=true.
+ * 
+ * @apiQuery {Boolean} [history=false] Include revoked and expired sessions
+ * @apiQuery {Number} [limit=50] Maximum number of sessions (up to 100)
+ * 
+ * @apiSuccess {Object[]} sessions Sessions, newest first
+ * 
+ * @apiError {String} message Error message
+ */
+app.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await findUserSessions(req.user.userId, req.query);
+
+    res.status(200).json({
+      sessions: sessions.map(session => formatSession(session, req.user.sid))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Error fetching sessions', error: error.message });
+  }
+});
+
+/**
+ * @api {delete} /sessions/:id Revoke a session
+ * @apiName DeleteSession
+ * @apiGroup User
+ * @apiDescription Logs the device out. Its refresh token and access tokens stop working.
+ * 
+ * @apiParam {String} id Session ID
+ * 
+ * @apiSuccess {String} message Success message
+ * 
+ * @apiError {String} message Error message
+ */
+app.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.id, userId: req.user.userId });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(req.user.userId, session.sessionId, 'logout');
+
+    res.status(200).json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Error revoking session', error: error.message });
+  }
+});
+
+/**
+ * @api {post} /mfa/setup Start two-factor enrollment
+ * @apiName SetupMfa
+ * @apiGroup User
+ * @apiDescription Generates a new TOTP secret. The otpauth URI can be rendered as a QR
+ * code for authenticator apps. Two-factor authentication is only enabled once a code
+ * has been confirmed with /mfa/verify. Requires the password.
+ * 
+ * @apiBody {String} password Current password
+ * 
+ * @apiSuccess {String} secret Base32 secret for manual entry
+ * @apiSuccess {String} otpauthUrl Provisioning URI for the QR code
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/mfa/setup', authenticateToken, async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return res.status(400).json({ message: 'Password is required' });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (user.mfaEnabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const isMatch = await bcrypt.compare(String(password), user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Invalid password' });
+    }
+
+    const secret = authenticator.generateSecret();
+    user.mfaSecret = encryptMfaSecret(secret);
+    await user.save();
+
+    res.status(200).json({
+      secret,
+      otpauthUrl: authenticator.keyuri(user.email, MFA_ISSUER, secret)
+    });
+  } catch (error) {
+    console.error('Error setting up MFA:', error);
+    res.status(500).json({ message: 'Error setting up MFA', error: error.message });
+  }
+});
+
+/**
+ * @api {post} /mfa/verify Confirm two-factor enrollment
+ * @apiName VerifyMfa
+ * @apiGroup User
+ * @apiDescription Enables two-factor authentication with the first code from the
+ * authenticator app and returns the recovery codes. They are shown only once.
+ * Requires the password.
+ * 
+ * @apiBody {String} password Current password
+ * @apiBody {String} code 6-digit code from the authenticator app
+ * 
+ * @apiSuccess {String[]} recoveryCodes Single-use recovery codes
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/mfa/verify', authenticateToken, async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return res.status(400).json({ message: 'Password and code are required' });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (user.mfaEnabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.mfaSecret) {
+      return res.status(400).json({ message: 'Start the setup with /mfa/setup first' });
+    }
+
+    const isMatch = await bcrypt.compare(String(password), user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Invalid password' });
+    }
+
+    if (!(await verifyTotpCode(user, code))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.mfaEnabled = true;
+    user.mfaEnabledAt = new Date();
+    user.mfaRecoveryCodes = hashes;
+    await user.save();
+
+    await recordAuditLog(req, 'user.mfa.enabled', user._id);
+
+    res.status(200).json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Error verifying MFA:', error);
+    res.status(500).json({ message: 'Error verifying MFA', error: error.message });
+  }
+});
+
+/**
+ * @api {post} /mfa/recovery-codes Regenerate recovery codes
+ * @apiName RegenerateRecoveryCodes
+ * @apiGroup User
+ * @apiDescription Replaces all recovery codes. The previous codes stop working.
+ * 
+ * @apiBody {String} code 6-digit code from the authenticator app
+ * 
+ * @apiSuccess {String[]} recoveryCodes Single-use recovery codes
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/mfa/recovery-codes', authenticateToken, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'Code is required' });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifyTotpCode(user, code))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.mfaRecoveryCodes = hashes;
+    await user.save();
+
+    await recordAuditLog(req, 'user.mfa.recovery_codes_regenerated', user._id);
+
+    res.status(200).json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ message: 'Error regenerating recovery codes', error: error.message });
+  }
+});
+
+/**
+ * @api {post} /mfa/disable Disable two-factor authentication
+ * @apiName DisableMfa
+ * @apiGroup User
+ * @apiDescription Requires the password and a TOTP or recovery code. Not available to
+ * roles for which two-factor authentication is mandatory.
+ * 
+ * @apiBody {String} password Current password
+ * @apiBody {String} [code] 6-digit code from the authenticator app
+ * @apiBody {String} [recoveryCode] Single-use recovery code
+ * 
+ * @apiSuccess {String} message Success message
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/mfa/disable', authenticateToken, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: 'Password and a code or recovery code are required' });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (MFA_REQUIRED_ROLES.includes(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for your role' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Invalid password' });
+    }
+
+    const { verified } = await verifySecondFactor(user, { code, recoveryCode });
+    if (!verified) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.mfaEnabled = false;
+    user.mfaSecret = null;
+    user.mfaEnabledAt = null;
+    user.mfaRecoveryCodes = [];
+    await user.save();
+
+    await recordAuditLog(req, 'user.mfa.disabled', user._id);
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling MFA:', error);
+    res.status(500).json({ message: 'Error disabling MFA', error: error.message });
+  }
+});
+
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    displayKey: `${apiKey.prefix}...${apiKey.last4}`,
+    scopes: apiKey.scopes,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    expiresAt: apiKey.expiresAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt
+  };
+}
+
+/**
+ * @api {post} /api-keys Create an API key
+ * @apiName CreateApiKey
+ * @apiGroup User
+ * @apiDescription Creates a scoped key for server-to-server calls, sent as
+ * `Authorization: Bearer sk_live_...`. The key is returned only once.
+ * 
+ * @apiBody {String} name Label for the key
+ * @apiBody {String[]} scopes Any of payments:read, payments:write, stats:read
+ * @apiBody {Number} [expiresInDays] Days until the key expires (never by default)
+ * 
+ * @apiSuccess {String} key The API key
+ * @apiSuccess {Object} apiKey Key details
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/api-keys', authenticateToken, async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+  const allowedScopes = ApiKey.schema.path('scopes').caster.enumValues;
+
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({ message: 'Name and at least one scope are required' });
+  }
+
+  const invalidScopes = scopes.filter(scope => !allowedScopes.includes(scope));
+  if (invalidScopes.length > 0) {
+    return res.status(400).json({
+      message: `Invalid scopes: ${invalidScopes.join(', ')}`,
+      allowedScopes
+    });
+  }
+
+  if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays <= 0)) {
+    return res.status(400).json({ message: 'expiresInDays must be a positive integer' });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId).select('role');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (MFA_REQUIRED_ROLES.includes(user.role) && !req.user.mfa) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for this role. Enable it and log in again.',
+        code: 'mfa_required'
+      });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      userId: user._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeKeys >= API_KEY_MAX_PER_USER) {
+      return res.status(400).json({ message: `You can have at most ${API_KEY_MAX_PER_USER} active API keys` });
+    }
+
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const apiKey = await ApiKey.create({
+      userId: user._id,
+      name,
+      keyHash: hashToken(key),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      last4: key.slice(-4),
+      scopes: [...new Set(scopes)],
+      mfa: req.user.mfa === true,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    await recordAuditLog(req, 'api_key.created', user._id, { apiKeyId: apiKey._id, scopes: apiKey.scopes });
+
+    res.status(201).json({
+      message: 'API key created. Store it now, it will not be shown again.',
+      key,
+      apiKey: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ message: 'Error creating API key', error: error.message });
+  }
+});
+
+// List API Keys API
+app.get('/api-keys', authenticateToken, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user.userId }).sort({ createdAt: -1 });
+
+    res.status(200).json({ apiKeys: apiKeys.map(formatApiKey) });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ message: 'Error fetching API keys', error: error.message });
+  }
+});
+
+// Revoke API Key API
+app.delete('/api-keys/:keyId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.keyId)) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.keyId, userId: req.user.userId });
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+
+      await recordAuditLog(req, 'api_key.revoked', req.user.userId, { apiKeyId: apiKey._id });
+    }
+
+    res.status(200).json({
+      message: 'API key revoked',
+      apiKey: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ message: 'Error revoking API key', error: error.message });
+  }
+});
+
+/**
+ * @api {post} /password/forgot Request a password reset
+ * @apiName ForgotPassword
+ * @apiGroup User
+ * @apiDescription Emails a single-use, time-limited password reset link. The response
+ * is the same whether or not the address is registered.
+ * 
+ * @apiBody {String} email User's email address
+ * 
+ * @apiSuccess {String} message Success message
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/password/forgot', rateLimit('password-forgot'), async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  try {
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user) {
+      // Only a hash of the token is stored so a database leak can't be used to reset passwords
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRES_MINUTES || '60');
+
+      user.passwordResetToken = hashToken(resetToken);
+      user.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+      await user.save();
+
+      // The link opens the frontend page that posts the new password to /password/reset
+      const resetUrl = new URL(process.env.PASSWORD_RESET_URL ||
+        `${process.env.APP_BASE_URL || 'http://localhost:3000'}/reset-password`);
+      resetUrl.searchParams.set('token', resetToken);
+      await sendEmail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `A password reset was requested for your account. Use the following link within ${expiresInMinutes} minutes to choose a new password:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+      });
+    }
+
+    res.status(200).json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @api {post} /password/reset Reset password
+ * @apiName ResetPassword
+ * @apiGroup User
+ * @apiDescription Sets a new password using a reset token. The token can only be used
+ * once, and all tokens issued before the reset stop working.
+ * 
+ * @apiBody {String} token Password reset token from the email
+ * @apiBody {String} password New password (at least 8 characters)
+ * 
+ * @apiSuccess {String} message Success message
+ * 
+ * @apiError {String} message Error message
+ */
+app.post('/password/reset', rateLimit('password-reset'), async (req, res) => {
+  const { token, password } = req.body;
+
+  if (typeof token !== 'string' || typeof password !== 'string' || !token || !password) {
+    return res.status(400).json({ message: 'Token and password are required' });
+  }
+
+  if (password.length < 8) {
+    return res.status(400).json({ message: 'Password must be at least 8 characters long' });
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // The token is used up in the same update that sets the password, so two
+    // requests with the same link cannot both reset it
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      {
+        $set: { password: hashedPassword, passwordChangedAt: new Date() },
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1 }
+      }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    await revokeUserTokens(user._id, 'password_reset');
+
+    res.status(200).json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Build the profile returned by /me
+async function buildUserProfile(user) {
+  let defaultCard = null;
+  if (user.defaultPaymentMethodId) {
+    try {
+      const paymentMethod = await stripeClient.paymentMethods.retrieve(user.defaultPaymentMethodId);
+      defaultCard = {
+        id: paymentMethod.id,
+        brand: paymentMethod.card?.brand,
+        last4: paymentMethod.card?.last4,
+        expMonth: paymentMethod.card?.exp_month,
+        expYear: paymentMethod.card?.exp_year
+      };
+    } catch (err) {
+      console.error(`Error retrieving default payment method: ${err.message}`);
+    }
+  }
+
+  return {
+    id: user._id,
+    email: user.email,
+    pendingEmail: user.pendingEmail || null,
+    isEmailVerified: user.isEmailVerified,
+    mfaEnabled: user.mfaEnabled,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    fullName: user.fullName,
+    phoneNumber: user.phoneNumber,
+    role: user.role,
+    customerId: user.customerId,
+    subscription: user.subscriptionId ? {
+      id: user.subscriptionId,
+      status: user.subscriptionStatus,
+      currentPeriodEnd: user.subscriptionPeriodEnd,
+      cancelAtPeriodEnd: user.cancelAtPeriodEnd,
+      productName: user.subscriptionBillingDetails?.productName,
+      amount: user.subscriptionBillingDetails?.amount ? user.subscriptionBillingDetails.amount / 100 : null,
+      currency: user.subscriptionBillingDetails?.currency,
+      interval: user.subscriptionBillingDetails?.interval
+    } : null,
+    defaultCard,
+    accountDeletion: user.accountDeletionRequested ? {
+      requestedAt: user.accountDeletionRequestedAt,
+      scheduledFor: accountDeletionDate(user)
+    } : null,
+    createdAt: user.createdAt
+  };
+}
+
+// Get current user profile API
+app.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json({ user: await buildUserProfile(user) });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({ message: 'Error fetching profile', error: error.message });
+  }
+});
+
+// Update current user profile API (keeps the Stripe customer in sync)
+app.patch('/me', authenticateToken, async (req, res) => {
+  const { firstName, lastName, phoneNumber, email, currentPassword } = req.body;
+
+  if (email !== undefined && typeof email !== 'string') {
+    return res.status(400).json({ message: 'Email must be a string' });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (firstName !== undefined) user.firstName = firstName;
+    if (lastName !== undefined) user.lastName = lastName;
+    if (phoneNumber !== undefined) user.phoneNumber = phoneNumber;
+
+    // A new email only takes effect once it has been verified
+    let newEmail = null;
+    if (email !== undefined) {
+      const normalizedEmail = email.toLowerCase().trim();
+
+      if (normalizedEmail !== user.email) {
+        if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+          return res.status(401).json({ message: 'Current password is required to change the email address' });
+        }
+
+        const emailTaken = await User.exists({ email: normalizedEmail });
+        if (emailTaken) {
+          return res.status(400).json({ message: 'This email address is already in use' });
+        }
+
+        user.pendingEmail = normalizedEmail;
+        newEmail = normalizedEmail;
+      } else if (user.pendingEmail) {
+        // Changing back to the current email cancels a pending change
+        user.pendingEmail = undefined;
+        user.pendingEmailVerificationToken = undefined;
+      }
+    }
+
+    await user.save();
+
+    try {
+      await syncCustomerProfileToStripe(user);
+    } catch (err) {
+      console.error(`Error syncing profile to Stripe customer ${user.customerId}: ${err.message}`);
+    }
+
+    if (newEmail) {
+      await sendVerificationEmail(user, newEmail);
+    }
+
+    res.status(200).json({
+      message: newEmail
+        ? 'Profile updated. Please verify your new email address to complete the change.'
+        : 'Profile updated successfully',
+      user: await buildUserProfile(user)
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ message: 'Error updating profile', error: error.message });
+  }
+});
+
+// Personal data exports (subject-access requests)
+const DATA_EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(__dirname, 'tmp', 'exports');
+const DATA_EXPORT_EXPIRES_HOURS = parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS || '48');
+
+// Collect everything we hold about a user from Mongo and Stripe
+async function collectUserData(user) {
+  const listAll = (list) => list.autoPagingToArray({ limit: 10000 });
+
+  const [customer, paymentMethods, invoices, charges, subscriptions] = await Promise.all([
+    stripeClient.customers.retrieve(user.customerId),
+    listAll(stripeClient.paymentMethods.list({ customer: user.customerId, limit: 100 })),
+    listAll(stripeClient.invoices.list({ customer: user.customerId, limit: 100 })),
+    listAll(stripeClient.charges.list({ customer: user.customerId, limit: 100 })),
+    listAll(stripeClient.subscriptions.list({ customer: user.customerId, status: 'all', limit: 100 }))
+  ]);
+
+  const account = user.toObject();
+  delete account.password;
+  delete account.emailVerificationToken;
+  delete account.pendingEmailVerificationToken;
+  delete account.passwordResetToken;
+  delete account.passwordResetExpires;
+  delete account.mfaSecret;
+  delete account.mfaRecoveryCodes;
+
+  const sessions = await Session.find({ userId: user._id }).sort({ createdAt: -1 });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    account,
+    sessions: sessions.map(session => formatSession(session)),
+    stripe: {
+      customer,
+      paymentMethods,
+      invoices,
+      charges,
+      subscriptions
+    }
+  };
+}
+
+// Write the export file in the requested format and return its path
+async function writeDataExportFile(dataExport, data) {
+  await fs.promises.mkdir(DATA_EXPORT_DIR, { recursive: true });
+  const baseName = `export_${dataExport.userId}_${dataExport._id}`;
+
+  if (dataExport.format === 'json') {
+    const filePath = path.join(DATA_EXPORT_DIR, `${baseName}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2));
+    return filePath;
+  }
+
+  const filePath = path.join(DATA_EXPORT_DIR, `${baseName}.zip`);
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(output);
+
+    archive.append(JSON.stringify(data.account, null, 2), { name: 'account.json' });
+    archive.append(JSON.stringify(data.sessions, null, 2), { name: 'sessions.json' });
+    Object.entries(data.stripe).forEach(([name, value]) => {
+      archive.append(JSON.stringify(value, null, 2), { name: `stripe/${name}.json` });
+    });
+    archive.append(JSON.stringify({ generatedAt: data.generatedAt }, null, 2), { name: 'manifest.json' });
+
+    archive.finalize();
+  });
+
+  return filePath;
+}
+
+// Sign a download link for a completed export; it expires with the export
+function dataExportDownloadUrl(dataExport) {
+  const token = jwt.sign(
+    { exportId: dataExport._id, userId: dataExport.userId, purpose: 'data_export_download' },
+    purposeTokenSecret('data_export_download'),
+    { expiresIn: Math.max(Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000), 1) }
+  );
+
+  return `${process.env.APP_BASE_URL || 'http://localhost:3000'}/me/export/${dataExport._id}/download?token=${token}`;
+}
+
+// Build pending exports one at a time. Claiming each export atomically keeps two
+// workers from building the same archive.
+async function processPendingDataExports() {
+  // Requeue exports whose worker died half way through
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lte: new Date(Date.now() - 30 * 60 * 1000) } },
+    { status: 'pending' }
+  );
+
+  let dataExport;
+  while ((dataExport = await DataExport.findOneAndUpdate(
+    { status: 'pending' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true, sort: { createdAt: 1 } }
+  ))) {
+    try {
+      const user = await User.findById(dataExport.userId);
+      if (!user) {
+        throw new Error('User no longer exists');
+      }
+
+      const data = await collectUserData(user);
+      const filePath = await writeDataExportFile(dataExport, data);
+      const stats = await fs.promises.stat(filePath);
+
+      dataExport.status = 'completed';
+      dataExport.filePath = filePath;
+      dataExport.fileSize = stats.size;
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = new Date(Date.now() + DATA_EXPORT_EXPIRES_HOURS * 60 * 60 * 1000);
+      await dataExport.save();
+
+      try {
+        await sendEmail({
+          to: user.email,
+          subject: 'Your data export is ready',
+          text: `Your data export is ready. Download it within ${DATA_EXPORT_EXPIRES_HOURS} hours:\n\n${dataExportDownloadUrl(dataExport)}`
+        });
+      } catch (err) {
+        console.error(`Error sending data export email: ${err.message}`);
+      }
+
+      console.log(`Data export ${dataExport._id} completed for user ${user.email}`);
+    } catch (err) {
+      console.error(`Data export ${dataExport._id} failed: ${err.message}`);
+      dataExport.status = 'failed';
+      dataExport.error = err.message;
+      await dataExport.save();
+    }
+  }
+}
+
+// Remove export files whose download window has passed
+async function expireDataExports() {
+  const expiredExports = await DataExport.find({
+    status: 'completed',
+    expiresAt: { $lte: new Date() }
+  });
+
+  for (const dataExport of expiredExports) {
+    try {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+      dataExport.status = 'expired';
+      dataExport.filePath = undefined;
+      await dataExport.save();
+    } catch (err) {
+      console.error(`Error expiring data export ${dataExport._id}: ${err.message}`);
+    }
+  }
+}
+
+// Shape a data export for API responses
+function formatDataExport(dataExport) {
+  const isDownloadable = dataExport.status === 'completed' && dataExport.expiresAt > new Date();
+
+  return {
+    id: dataExport._id,
+    status: dataExport.status,
+    format: dataExport.format,
+    fileSize: dataExport.fileSize || null,
+    error: dataExport.status === 'failed' ? dataExport.error : null,
+    createdAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt || null,
+    expiresAt: dataExport.expiresAt || null,
+    downloadUrl: isDownloadable ? dataExportDownloadUrl(dataExport) : null
+  };
+}
+
+// Request a data export API
+app.post('/me/export', authenticateToken, async (req, res) => {
+  const { format = 'zip' } = req.body;
+
+  if (!['json', 'zip'].includes(format)) {
+    return res.status(400).json({ message: 'Format must be json or zip' });
+  }
+
+  try {
+    const inProgress = await DataExport.findOne({
+      userId: req.user.userId,
+      status: { $in: ['pending', 'processing'] }
+    });
+
+    if (inProgress) {
+      return res.status(409).json({
+        message: 'A data export is already in progress',
+        export: formatDataExport(inProgress)
+      });
+    }
+
+    const dataExport = await DataExport.create({
+      userId: req.user.userId,
+      format
+    });
+
+    // Start right away instead of waiting for the next scheduled run
+    setImmediate(() => {
+      processPendingDataExports().catch(err => {
+        console.error(`Error processing data exports: ${err.message}`);
+      });
+    });
+
+    res.status(202).json({
+      message: 'Data export requested. You will receive an email when it is ready.',
+      export: formatDataExport(dataExport)
+    });
+  } catch (error) {
+    console.error('Error requesting data export:', error);
+    res.status(500).json({ message: 'Error requesting data export', error: error.message });
+  }
+});
+
+// List data exports API
+app.get('/me/export', authenticateToken, async (req, res) => {
+  try {
+    const exports = await DataExport.find({ userId: req.user.userId })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.status(200).json({ exports: exports.map(formatDataExport) });
+  } catch (error) {
+    console.error('Error fetching data exports:', error);
+    res.status(500).json({ message: 'Error fetching data exports', error: error.message });
+  }
+});
+
+// Data export status API
+app.get('/me/export/:exportId', authenticateToken, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.exportId)) {
+    return res.status(404).json({ message: 'Data export not found' });
+  }
+
+  try {
+    const dataExport = await DataExport.findOne({
+      _id: req.params.exportId,
+      userId: req.user.userId
+    });
+
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Data export not found' });
+    }
+
+    res.status(200).json({ export: formatDataExport(dataExport) });
+  } catch (error) {
+    console.error('Error fetching data export:', error);
+    res.status(500).json({ message: 'Error fetching data export', error: error.message });
+  }
+});
+
+// Data export download API (authorized by the signed link, so it works from the email)
+app.get('/me/export/:exportId/download', async (req, res) => {
+  const { token } = req.query;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, purposeTokenSecret('data_export_download'));
+  } catch (err) {
+    return res.status(403).json({ message: 'Download link is invalid or has expired' });
+  }
+
+  if (payload.purpose !== 'data_export_download' || payload.exportId !== req.params.exportId) {
+    return res.status(403).json({ message: 'Download link is invalid or has expired' });
+  }
+
+  try {
+    const dataExport = await DataExport.findOne({
+      _id: payload.exportId,
+      userId: payload.userId
+    });
+
+    if (!dataExport || dataExport.status !== 'completed' || dataExport.expiresAt <= new Date()) {
+      return res.status(410).json({ message: 'This data export is no longer available' });
+    }
+
+    res.download(dataExport.filePath, path.basename(dataExport.filePath));
+  } catch (error) {
+    console.error('Error downloading data export:', error);
+    res.status(500).json({ message: 'Error downloading data export', error: error.message });
+  }
+});
+
+// Payment method types other than cards, with the currencies and customer countries they
+// are offered for. Debit methods settle days later, so their payments stay 'processing'
+// until Stripe reports the outcome; redirect methods send the customer to their bank.
+const SEPA_COUNTRIES = [
+  'AT', 'BE', 'BG', 'CH', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GB', 'GR', 'HR', 'HU',
+  'IE', 'IS', 'IT', 'LI', 'LT', 'LU', 'LV', 'MC', 'MT', 'NL', 'NO', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK', 'SM'
+];
+const NON_CARD_PAYMENT_METHODS = {
+  sepa_debit: { currencies: ['eur'], countries: SEPA_COUNTRIES, debit: true },
+  us_bank_account: { currencies: ['usd'], countries: ['US'], debit: true },
+  ideal: { currencies: ['eur'], countries: ['NL'], redirect: true },
+  bancontact: { currencies: ['eur'], countries: ['BE'], redirect: true }
+};
+
+// Methods turned on for this account (cards always are). The currencies and countries of a
+// method can be overridden with PAYMENT_METHOD_<TYPE>_CURRENCIES and _COUNTRIES.
+const ENABLED_PAYMENT_METHOD_TYPES = (process.env.PAYMENT_METHOD_TYPES || 'card')
+  .split(',')
+  .map(type => type.trim())
+  .filter(type => NON_CARD_PAYMENT_METHODS[type]);
+
+function paymentMethodSetting(type, setting) {
+  const value = process.env[`PAYMENT_METHOD_${type.toUpperCase()}_${setting.toUpperCase()}`];
+  if (!value) return NON_CARD_PAYMENT_METHODS[type][setting];
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// Payment method types a customer can pay `currency` with. Without a known country
+// only the currency is checked.
+function getAllowedPaymentMethodTypes(currency, country) {
+  const allowed = ['card'];
+  for (const type of ENABLED_PAYMENT_METHOD_TYPES) {
+    if (!paymentMethodSetting(type, 'currencies').includes(String(currency).toLowerCase())) continue;
+    if (country && !paymentMethodSetting(type, 'countries').includes(String(country).toUpperCase())) continue;
+    allowed.push(type);
+  }
+  return allowed;
+}
+
+// The country a payment is made from: the user's default address. It is never taken
+// from the request, or any client could pick a country to unlock a method.
+function getPaymentCountry(user) {
+  return user?.addresses?.find(address => address.isDefault)?.country || null;
+}
+
+// Where Stripe sends customers back after paying with a redirect method
+const PAYMENT_RETURN_URL = process.env.PAYMENT_RETURN_URL ||
+  `${process.env.APP_BASE_URL || 'http://localhost:3000'}/payments/return`;
+
+// Mandate for debiting a bank account while the customer is present
+function onlineMandateData(req) {
+  return {
+    customer_acceptance: {
+      type: 'online',
+      online: {
+        ip_address: req.ip,
+        user_agent: req.get('user-agent') || 'unknown'
+      }
+    }
+  };
+}
+
+// Last four digits of a card or bank account
+function getPaymentMethodLast4(paymentMethod) {
+  return paymentMethod?.[paymentMethod.type]?.last4 || null;
+}
+
+// Payment intent API with Stripe client_secret
+
+// app.post('/create-payment-intent', authenticateToken, async (req, res) => {
+//   const { amount, currency } = req.body;
+//   try {
+//     if (!amount || !currency) {
+//       return res.status(400).json({ message: 'Missing required fields' });
+//     }
+
+//     const paymentIntent = await stripeClient.paymentIntents.create({
+//       amount,
+//       currency,
+//       customer: req.user.customerId,
+//     });
+
+//     res.status(200).json({
+//       clientSecret: paymentIntent.client_secret,
+//       message: 'Payment intent created successfully',
+//     });
+//   } catch (error) {
+//     console.error(error);
+//     res.status(500).json({ message: 'Error creating payment intent' });
+//   }
+// });
+
+// Payment intent API with Stripe client_secret and optional confirmation
+app.post('/create-payment-intent', authenticateTokenOrApiKey('payments:write'), blockPendingDeletion, idempotent, async (req, res) => {
+  const { amount, currency, confirm = false, captureMethod = 'automatic', paymentMethodTypes } = req.body;
+  try {
+    if (!amount || !currency) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+
+    if (!CAPTURE_METHODS.includes(captureMethod)) {
+      return res.status(400).json({ message: `captureMethod must be one of: ${CAPTURE_METHODS.join(', ')}` });
+    }
+
+    if (paymentMethodTypes !== undefined && (!Array.isArray(paymentMethodTypes) || paymentMethodTypes.length === 0)) {
+      return res.status(400).json({ message: 'paymentMethodTypes must be a non-empty array' });
+    }
+
+    // Only cards can be authorized now and captured later
+    const user = await User.findById(req.user.userId);
+    const allowedTypes = captureMethod === 'manual'
+      ? ['card']
+      : getAllowedPaymentMethodTypes(currency, getPaymentCountry(user));
+    const unavailableTypes = (paymentMethodTypes || []).filter(type => !allowedTypes.includes(type));
+    if (unavailableTypes.length > 0) {
+      return res.status(400).json({
+        message: `Payment methods not available for this payment: ${unavailableTypes.join(', ')}`,
+        allowedPaymentMethodTypes: allowedTypes
+      });
+    }
+
+    // Create the payment intent
+    const paymentIntentParams = {
+      amount,
+      currency,
+      customer: req.user.customerId,
+      capture_method: captureMethod,
+      // The allowed methods are chosen here rather than from the Stripe dashboard
+      automatic_payment_methods: {
+        enabled: false
+      },
+      payment_method_types: paymentMethodTypes || allowedTypes
+    };
+    
+    // If confirm is true, add confirmation details
+    if (confirm) {
+      paymentIntentParams.payment_method = 'pm_card_visa';
+      paymentIntentParams.confirm = true;
+    }
+
+    const paymentIntent = await stripeClient.paymentIntents.create(
+      paymentIntentParams,
+      stripeIdempotencyOptions(req, 'payment-intent')
+    );
+
+    // Response includes different details based on whether payment was confirmed
+    const response = {
+      message: confirm ? 'Payment intent created and confirmed' : 'Payment intent created successfully',
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      captureMethod,
+      paymentMethodTypes: paymentIntent.payment_method_types,
+      // Redirect methods (iDEAL, Bancontact) are confirmed by the client with this return URL
+      returnUrl: PAYMENT_RETURN_URL
+    };
+    
+    if (confirm) {
+      response.status = paymentIntent.status;
+      
+      // If payment was confirmed, record in payment history
+      if (paymentIntent.status === 'succeeded') {
+        await User.findByIdAndUpdate(
+          req.user.userId,
+          {
+            $push: {
+              paymentHistory: {
+                paymentIntentId: paymentIntent.id,
+                amount: paymentIntent.amount,
+                currency: paymentIntent.currency,
+                status: paymentIntent.status,
+                paymentMethodId: paymentIntent.payment_method,
+                paymentMethodLast4: 'visa-test'
+              }
+            }
+          }
+        );
+      }
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Error creating payment intent', error: error.message });
+  }
+});
+
+// Process payment directly with card with Stripe
+app.post('/process-payment', authenticateTokenOrApiKey('payments:write'), blockPendingDeletion, idempotent, async (req, res) => {
+  const { amount, currency } = req.body;
+
+  if (!amount || !currency) {
+    return res.status(400).json({ message: 'Missing required fields' });
+  }
+
+  try {
+    // Use Stripe's test token instead of raw card data
+    const paymentMethod = await stripeClient.paymentMethods.create({
+      type: 'card',
+      card: {
+        token: 'tok_visa', // Test Visa card token
+      },
+    }, stripeIdempotencyOptions(req, 'payment-method'));
+
+    const paymentIntent = await stripeClient.paymentIntents.create({
+      amount,
+      currency,
+      payment_method: paymentMethod.id,
+      customer: req.user.customerId,
+      confirm: true,
+      // Disable redirect-based payment methods entirely
+      automatic_payment_methods: {
+        enabled: false
+      },
+      // Only allow card payments (which don't require redirects in most cases)
+      payment_method_types: ['card']
+    }, stripeIdempotencyOptions(req, 'payment-intent'));
+
+    // Record payment history in the user's document
+    await User.findByIdAndUpdate(
+      req.user.userId,
+      {
+        $push: {
+          paymentHistory: {
+            paymentIntentId: paymentIntent.id,
+            amount: paymentIntent.amount,
+            currency: paymentIntent.currency,
+            status: paymentIntent.status,
+            paymentMethodId: paymentMethod.id,
+            paymentMethodLast4: getPaymentMethodLast4(paymentMethod),
+            paymentMethodType: paymentMethod.type
+          }
+        }
+      }
+    );
+
+    return res.status(200).json({
+      message: 'Payment successful',
+      paymentIntent: {
+        id: paymentIntent.id,
+        status: paymentIntent.status,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency
+      }
+    });
+  } catch (error) {
+    console.error('Stripe Error:', error);
+    return res.status(500).json({ message: 'Error processing payment', error: error.message });
+  }
+});
+
+// Saved card list API with Stripe
+app.get('/cards', authenticateToken,  async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Cards are served from the local mirror; it is loaded from Stripe on first use
+    // and whenever the client asks for it with ?refresh=true. Impersonation is read-only,
+    // so the reloaded cards are only shown then, not saved.
+    if (req.query.refresh === 'true' || !user.paymentMethodsSyncedAt) {
+      await user.refreshPaymentMethods(stripeClient, { save: !req.user.impersonatorId });
+    }
+
+    const cards = user.paymentMethods.map(method => formatSavedCard(user, method));
+
+    res.status(200).json({ cards, syncedAt: user.paymentMethodsSyncedAt });
+  } catch (error) {
+    console.error('Error fetching cards:', error);
+    res.status(500).json({ message: 'Error fetching saved cards', error: error.message });
+  }
+});
+
+const CARD_EXPIRY_WARNING_DAYS = parseInt(process.env.CARD_EXPIRY_WARNING_DAYS || '30');
+
+// Cards are valid through the last day of their expiry month
+function cardExpiresAt(method) {
+  return new Date(Date.UTC(method.expYear, method.expMonth, 1));
+}
+
+function isCardExpiringWithin(method, days) {
+  if (!method.expMonth || !method.expYear) return false;
+  return cardExpiresAt(method) <= new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+// The payment method subscription renewals are charged to
+async function getSubscriptionPaymentMethodId(user) {
+  if (!user.subscriptionId || !['active', 'trialing', 'past_due'].includes(user.subscriptionStatus)) {
+    return null;
+  }
+
+  try {
+    const subscription = await stripeClient.subscriptions.retrieve(user.subscriptionId);
+    return subscription.default_payment_method || user.defaultPaymentMethodId;
+  } catch (err) {
+    console.error(`Error retrieving subscription ${user.subscriptionId}: ${err.message}`);
+    return user.defaultPaymentMethodId;
+  }
+}
+
+// Cards of a user that expire within `days` (or have expired), the subscription's card first
+async function findExpiringCards(user, days) {
+  const methods = user.paymentMethods.filter(method => isCardExpiringWithin(method, days));
+  if (methods.length === 0) return [];
+
+  const subscriptionPaymentMethodId = await getSubscriptionPaymentMethodId(user);
+
+  return methods
+    .map(method => ({
+      id: method.paymentMethodId,
+      brand: method.brand,
+      last4: method.last4,
+      expMonth: method.expMonth,
+      expYear: method.expYear,
+      expiresAt: cardExpiresAt(method),
+      expired: cardExpiresAt(method) <= new Date(),
+      isDefault: method.paymentMethodId === user.defaultPaymentMethodId,
+      usedBySubscription: method.paymentMethodId === subscriptionPaymentMethodId,
+      notifiedAt: method.expiryNotifiedAt
+    }))
+    .sort((a, b) => (b.usedBySubscription - a.usedBySubscription) || (a.expiresAt - b.expiresAt));
+}
+
+// Expiring Cards API, for showing an update banner
+app.get('/cards/expiring', authenticateToken, async (req, res) => {
+  const days = parseInt(req.query.days) || CARD_EXPIRY_WARNING_DAYS;
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const cards = await findExpiringCards(user, days);
+
+    res.status(200).json({
+      days,
+      showBanner: cards.length > 0,
+      subscriptionAtRisk: cards.some(card => card.usedBySubscription),
+      cards
+    });
+  } catch (error) {
+    console.error('Error fetching expiring cards:', error);
+    res.status(500).json({ message: 'Error fetching expiring cards', error: error.message });
+  }
+});
+
+// Warn users about cards that expire within CARD_EXPIRY_WARNING_DAYS, once per card
+// and expiry date. Users whose subscription is charged to an expiring card go first.
+async function notifyExpiringCards() {
+  const threshold = new Date(Date.now() + CARD_EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000);
+
+  // Every expiry month from this month up to the threshold
+  const expiryMonths = [];
+  const cursor = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), 1));
+  while (cursor <= threshold) {
+    expiryMonths.push({ expYear: cursor.getUTCFullYear(), expMonth: cursor.getUTCMonth() + 1 });
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+
+  const users = await User.find({
+    active: true,
+    paymentMethods: { $elemMatch: { $or: expiryMonths, expiryNotifiedAt: null } }
+  });
+
+  const notifications = [];
+  for (const user of users) {
+    const cards = (await findExpiringCards(user, CARD_EXPIRY_WARNING_DAYS))
+      .filter(card => !card.expired && !card.notifiedAt);
+    if (cards.length > 0) {
+      notifications.push({ user, cards });
+    }
+  }
+
+  notifications.sort((a, b) => b.cards[0].usedBySubscription - a.cards[0].usedBySubscription);
+
+  for (const { user, cards } of notifications) {
+    try {
+      const lines = cards.map(card =>
+        `- ${card.brand} ending in ${card.last4}, expires ${String(card.expMonth).padStart(2, '0')}/${card.expYear}` +
+        (card.usedBySubscription ? ' (used for your subscription)' : '')
+      );
+      const subscriptionWarning = cards[0].usedBySubscription
+        ? 'Your subscription renews with this card. Please add a new card before it expires so your subscription is not interrupted.\n\n'
+        : '';
+
+      await sendEmail({
+        to: user.email,
+        subject: cards[0].usedBySubscription
+          ? 'The card for your subscription expires soon'
+          : 'A saved card expires soon',
+        text: `${subscriptionWarning}The following saved cards expire soon:\n\n${lines.join('\n')}\n\nYou can add a new card and remove the old one from your account at ${process.env.APP_BASE_URL || 'http://localhost:3000'}.`
+      });
+
+      // Only the flag is written, so cards changed since the user was loaded are kept
+      const notifiedAt = new Date();
+      await Promise.all(cards.map(card => User.updateOne(
+        { _id: user._id, 'paymentMethods.paymentMethodId': card.id },
+        { $set: { 'paymentMethods.$.expiryNotifiedAt': notifiedAt } }
+      )));
+    } catch (err) {
+      console.error(`Error sending card expiry notification to ${user.email}: ${err.message}`);
+    }
+  }
+
+  if (notifications.length > 0) {
+    console.log(`Sent card expiry notifications to ${notifications.length} users`);
+  }
+}
+
+// Stripe test tokens for the test card numbers accepted by POST /cards in test mode
+const TEST_CARD_TOKENS = {
+  '4242424242424242': 'tok_visa',
+  '4000056655665556': 'tok_visa_debit',
+  '5555555555554444': 'tok_mastercard',
+  '378282246310005': 'tok_amex',
+  '371449635398431': 'tok_amex',
+  '6011111111111117': 'tok_discover'
+};
+
+// Raw card numbers are only accepted against a Stripe test account and when
+// explicitly enabled; real cards go through /cards/setup-intent
+const rawCardDataAllowed = () =>
+  process.env.ALLOW_RAW_CARD_DATA === 'true' && (process.env.STRIPE_SECRET_KEY || '').startsWith('sk_test_');
+
+function formatSavedCard(user, method) {
+  return {
+    id: method.paymentMethodId,
+    brand: method.brand,
+    last4: method.last4,
+    expMonth: method.expMonth,
+    expYear: method.expYear,
+    isDefault: method.paymentMethodId === user.defaultPaymentMethodId
+  };
+}
+
+// What to do when a card being added is already saved
+const DUPLICATE_CARD_ACTIONS = ['reject', 'replace', 'keep'];
+
+// Saved cards that are copies of paymentMethod, matched on the card fingerprint
+async function findDuplicateCards(user, paymentMethod) {
+  const fingerprint = paymentMethod.card?.fingerprint;
+  if (!fingerprint) return [];
+
+  // Cards mirrored before fingerprints were stored have none yet
+  if (user.paymentMethods.some(method => !method.fingerprint)) {
+    await user.refreshPaymentMethods(stripeClient, { save: false });
+  }
+
+  return user.paymentMethods.filter(method =>
+    method.fingerprint === fingerprint && method.paymentMethodId !== paymentMethod.id
+  );
+}
+
+// Apply the client's onDuplicate choice to a card being added. Without a choice the client
+// gets a 409 listing the saved copies and can retry with one. Returns null once a response
+// was sent, otherwise whether the new card should become the default and, for replace,
+// the copies to remove once it is saved (see removeReplacedCards).
+async function resolveDuplicateCard(req, res, user, paymentMethod, { attached }) {
+  const { onDuplicate } = req.body;
+  const duplicates = await findDuplicateCards(user, paymentMethod);
+  if (duplicates.length === 0 || onDuplicate === 'keep') {
+    return { setAsDefault: false };
+  }
+
+  if (!onDuplicate) {
+    res.status(409).json({
+      message: 'This card is already saved',
+      code: 'duplicate_card',
+      existingCards: duplicates.map(method => formatSavedCard(user, method)),
+      options: DUPLICATE_CARD_ACTIONS
+    });
+    return null;
+  }
+
+  if (onDuplicate === 'reject') {
+    if (attached) {
+      await stripeClient.paymentMethods.detach(paymentMethod.id);
+      await user.deletePaymentMethod(paymentMethod.id);
+    }
+
+    res.status(200).json({
+      message: 'This card is already saved',
+      duplicate: true,
+      card: formatSavedCard(user, duplicates[0])
+    });
+    return null;
+  }
+
+  // replace: the new card takes over from its copies, including being the default
+  const setAsDefault = duplicates.some(method => method.paymentMethodId === user.defaultPaymentMethodId);
+  return { setAsDefault, replaced: duplicates.map(method => method.paymentMethodId) };
+}
+
+// Detach the copies a new card replaces. Only called once the new card is saved, so a
+// failure never leaves the customer without the card. Returns the IDs actually removed.
+async function removeReplacedCards(user, paymentMethodIds = []) {
+  const removed = [];
+  for (const paymentMethodId of paymentMethodIds) {
+    try {
+      await stripeClient.paymentMethods.detach(paymentMethodId);
+      await user.deletePaymentMethod(paymentMethodId);
+      removed.push(paymentMethodId);
+    } catch (err) {
+      console.error(`Error removing replaced card ${paymentMethodId}: ${err.message}`);
+    }
+  }
+  return removed;
+}
+
+// Mirror a newly attached card on the user and make it the default if it is the first one
+async function saveAttachedCard(user, paymentMethod, setAsDefault = false) {
+  await user.savePaymentMethod(paymentMethod);
+
+  const isDefault = setAsDefault || !user.defaultPaymentMethodId;
+  if (isDefault) {
+    await stripeClient.customers.update(user.customerId, {
+      invoice_settings: {
+        default_payment_method: paymentMethod.id,
+      },
+    });
+    await user.saveDefaultPaymentMethod(paymentMethod.id);
+  }
+
+  return {
+    id: paymentMethod.id,
+    brand: paymentMethod.card.brand,
+    last4: paymentMethod.card.last4,
+    expMonth: paymentMethod.card.exp_month,
+    expYear: paymentMethod.card.exp_year,
+    isDefault
+  };
+}
+
+// Start saving a card API with a Stripe SetupIntent. The client confirms it with
+// Stripe.js so card numbers never reach this server, then calls the finalize endpoint.
+app.post('/cards/setup-intent', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    const setupIntent = await stripeClient.setupIntents.create({
+      customer: req.user.customerId,
+      payment_method_types: ['card'],
+      usage: 'off_session',
+      metadata: {
+        userId: req.user.userId.toString()
+      }
+    });
+
+    res.status(201).json({
+      clientSecret: setupIntent.client_secret,
+      setupIntentId: setupIntent.id
+    });
+  } catch (error) {
+    console.error('Error creating setup intent:', error);
+    res.status(500).json({ message: 'Error creating setup intent', error: error.message });
+  }
+});
+
+// Save a bank account (SEPA or US) for checkout. The client collects the account details
+// and the debit mandate with Stripe.js using the returned client secret.
+app.post('/payment-methods/setup-intent', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  const { type } = req.body;
+
+  const debitTypes = Object.keys(NON_CARD_PAYMENT_METHODS).filter(method => NON_CARD_PAYMENT_METHODS[method].debit);
+  if (!debitTypes.includes(type)) {
+    return res.status(400).json({ message: `type must be one of: ${debitTypes.join(', ')}` });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const country = getPaymentCountry(user);
+    if (!ENABLED_PAYMENT_METHOD_TYPES.includes(type) ||
+        (country && !paymentMethodSetting(type, 'countries').includes(String(country).toUpperCase()))) {
+      return res.status(400).json({ message: `${type} is not available for your account` });
+    }
+
+    const setupIntent = await stripeClient.setupIntents.create({
+      customer: req.user.customerId,
+      payment_method_types: [type],
+      usage: 'off_session',
+      metadata: {
+        userId: req.user.userId.toString()
+      }
+    });
+
+    res.status(201).json({
+      clientSecret: setupIntent.client_secret,
+      setupIntentId: setupIntent.id,
+      type
+    });
+  } catch (error) {
+    console.error('Error creating bank account setup intent:', error);
+    res.status(500).json({ message: 'Error creating setup intent', error: error.message });
+  }
+});
+
+// Finish saving a card API: records the card attached by a confirmed SetupIntent
+app.post('/cards/setup-intent/:setupIntentId/finalize', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  const { setAsDefault = false, onDuplicate } = req.body;
+
+  if (onDuplicate && !DUPLICATE_CARD_ACTIONS.includes(onDuplicate)) {
+    return res.status(400).json({ message: `onDuplicate must be one of: ${DUPLICATE_CARD_ACTIONS.join(', ')}` });
+  }
+
+  try {
+    const setupIntent = await stripeClient.setupIntents.retrieve(req.params.setupIntentId, {
+      expand: ['payment_method']
+    });
+    if (setupIntent.customer !== req.user.customerId) {
+      return res.status(404).json({ message: 'Setup intent not found' });
+    }
+
+    if (setupIntent.status !== 'succeeded') {
+      return res.status(400).json({
+        message: `Card setup is not complete (status: ${setupIntent.status})`,
+        status: setupIntent.status,
+        clientSecret: setupIntent.client_secret
+      });
+    }
+
+    // Only cards are saved here; other methods are never mirrored as cards
+    if (setupIntent.payment_method?.type !== 'card') {
+      return res.status(400).json({ message: 'Only cards can be saved with this endpoint' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const duplicate = await resolveDuplicateCard(req, res, user, setupIntent.payment_method, { attached: true });
+    if (!duplicate) return;
+
+    const card = await saveAttachedCard(user, setupIntent.payment_method, setAsDefault === true || duplicate.setAsDefault);
+    const replacedCards = await removeReplacedCards(user, duplicate.replaced);
+
+    res.status(201).json({
+      message: 'Card added successfully',
+      card,
+      replacedCards: duplicate.replaced ? replacedCards : undefined
+    });
+  } catch (error) {
+    console.error('Error finalizing card setup:', error);
+    res.status(500).json({ message: 'Error saving card', error: error.message });
+  }
+});
+
+// Add new card API with Stripe test card numbers (test mode only)
+app.post('/cards', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  if (!rawCardDataAllowed()) {
+    return res.status(400).json({
+      message: 'Card numbers are not accepted. Save cards with /cards/setup-intent instead.',
+      code: 'raw_card_data_not_allowed'
+    });
+  }
+
+  const { cardNumber, expMonth, expYear, cvc, onDuplicate } = req.body;
+  
+  if (!cardNumber || !expMonth || !expYear || !cvc) {
+    return res.status(400).json({ message: 'Missing required card fields' });
+  }
+
+  if (onDuplicate && !DUPLICATE_CARD_ACTIONS.includes(onDuplicate)) {
+    return res.status(400).json({ message: `onDuplicate must be one of: ${DUPLICATE_CARD_ACTIONS.join(', ')}` });
+  }
+
+  const token = TEST_CARD_TOKENS[String(cardNumber).replace(/\s/g, '')];
+  if (!token) {
+    return res.status(400).json({
+      message: 'Only Stripe test card numbers are supported',
+      supportedCardNumbers: Object.keys(TEST_CARD_TOKENS)
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const paymentMethod = await stripeClient.paymentMethods.create({
+      type: 'card',
+      card: { token }
+    });
+
+    // Checked before attaching, so a rejected duplicate never reaches the customer
+    const duplicate = await resolveDuplicateCard(req, res, user, paymentMethod, { attached: false });
+    if (!duplicate) return;
+
+    // Attach the payment method to the customer
+    await stripeClient.paymentMethods.attach(paymentMethod.id, {
+      customer: req.user.customerId,
+    });
+
+    const card = await saveAttachedCard(user, paymentMethod, duplicate.setAsDefault);
+    const replacedCards = await removeReplacedCards(user, duplicate.replaced);
+
+    res.status(201).json({
+      message: 'Card added successfully',
+      card,
+      replacedCards: duplicate.replaced ? replacedCards : undefined
+    });
+  } catch (error) {
+    console.error('Error adding card:', error);
+    res.status(500).json({ message: 'Error adding card', error: error.message });
+  }
+});
+
+// Set primary card API with Stripe
+app.post('/cards/:cardId/set-default', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  const { cardId } = req.params;
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Verify this payment method belongs to the customer
+    const paymentMethod = await stripeClient.paymentMethods.retrieve(cardId);
+    if (paymentMethod.customer !== req.user.customerId) {
+      return res.status(403).json({ message: 'This card does not belong to your account' });
+    }
+
+    // Update the customer's default payment method
+    await stripeClient.customers.update(req.user.customerId, {
+      invoice_settings: {
+        default_payment_method: cardId,
+      },
+    });
+
+    // Save the default payment method ID to the user
+    await user.savePaymentMethod(paymentMethod);
+    await user.saveDefaultPaymentMethod(cardId);
+
+    res.status(200).json({ message: 'Default payment method updated successfully' });
+  } catch (error) {
+    console.error('Error setting default card:', error);
+    res.status(500).json({ message: 'Error setting default payment method', error: error.message });
+  }
+});
+
+// Update existing card API with Stripe
+app.put('/cards/:cardId', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  const { cardId } = req.params;
+  const { expMonth, expYear } = req.body;
+
+  if (!expMonth || !expYear) {
+    return res.status(400).json({ message: 'Missing required fields' });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Verify this payment method belongs to the customer
+    const paymentMethod = await stripeClient.paymentMethods.retrieve(cardId);
+    if (paymentMethod.customer !== req.user.customerId) {
+      return res.status(403).json({ message: 'This card does not belong to your account' });
+    }
+
+    // Update the payment method
+    const updatedPaymentMethod = await stripeClient.paymentMethods.update(cardId, {
+      card: {
+        exp_month: expMonth,
+        exp_year: expYear,
+      },
+    });
+
+    await user.savePaymentMethod(updatedPaymentMethod);
+
+    res.status(200).json({
+      message: 'Card updated successfully',
+      card: {
+        id: updatedPaymentMethod.id,
+        brand: updatedPaymentMethod.card.brand,
+        last4: updatedPaymentMethod.card.last4,
+        expMonth: updatedPaymentMethod.card.exp_month,
+        expYear: updatedPaymentMethod.card.exp_year,
+      }
+    });
+  } catch (error) {
+    console.error('Error updating card:', error);
+    res.status(500).json({ message: 'Error updating card', error: error.message });
+  }
+});
+
+// Delete card API with Stripe
+app.delete('/cards/:cardId', authenticateToken, async (req, res) => {
+  const { cardId } = req.params;
+
+  try {
+    // Verify this payment method belongs to the customer
+    const paymentMethod = await stripeClient.paymentMethods.retrieve(cardId);
+    if (paymentMethod.customer !== req.user.customerId) {
+      return res.status(403).json({ message: 'This card does not belong to your account' });
+    }
+
+    // Get user to check if this is the default payment method
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // If deleting the default payment method, set another one as default if available
+    if (user.defaultPaymentMethodId === cardId) {
+      const paymentMethods = await stripeClient.paymentMethods.list({
+        customer: req.user.customerId,
+        type: 'card',
+        limit: 100,
+      });
+
+      // Filter out the one being deleted, then prefer another copy of the same card
+      // and otherwise the card that stays valid the longest. A non-card method has no copies.
+      const sameCard = pm => !!paymentMethod.card && pm.card.fingerprint === paymentMethod.card.fingerprint;
+      const expiry = pm => pm.card.exp_year * 12 + pm.card.exp_month;
+      const otherCards = paymentMethods.data
+        .filter(pm => pm.id !== cardId)
+        .sort((a, b) => (sameCard(b) - sameCard(a)) || (expiry(b) - expiry(a)) || (a.created - b.created));
+
+      if (otherCards.length > 0) {
+        // Set the first available card as the new default
+        await stripeClient.customers.update(req.user.customerId, {
+          invoice_settings: {
+            default_payment_method: otherCards[0].id,
+          },
+        });
+
+        // Update user record
+        await user.saveDefaultPaymentMethod(otherCards[0].id);
+      }
+      // With no other cards the default is cleared when the card is removed below
+    }
+
+    // Detach the payment method from the customer
+    await stripeClient.paymentMethods.detach(cardId);
+
+    await user.deletePaymentMethod(cardId);
+
+    res.status(200).json({ message: 'Card deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting card:', error);
+    res.status(500).json({ message: 'Error deleting card', error: error.message });
+  }
+});
+
+// Customers with the same card saved more than once (admin and support)
+app.get('/admin/reports/duplicate-cards', authenticateToken, requireRole('billing_admin', 'support'), async (req, res) => {
+  try {
+    const customers = await User.aggregate([
+      { $match: { 'paymentMethods.1': { $exists: true } } },
+      { $unwind: '$paymentMethods' },
+      { $match: { 'paymentMethods.fingerprint': { $ne: null } } },
+      {
+        $group: {
+          _id: { userId: '$_id', fingerprint: '$paymentMethods.fingerprint' },
+          email: { $first: '$email' },
+          customerId: { $first: '$customerId' },
+          count: { $sum: 1 },
+          cards: {
+            $push: {
+              id: '$paymentMethods.paymentMethodId',
+              brand: '$paymentMethods.brand',
+              last4: '$paymentMethods.last4',
+              expMonth: '$paymentMethods.expMonth',
+              expYear: '$paymentMethods.expYear'
+            }
+          }
+        }
+      },
+      { $match: { count: { $gt: 1 } } },
+      {
+        $group: {
+          _id: '$_id.userId',
+          email: { $first: '$email' },
+          customerId: { $first: '$customerId' },
+          duplicateCount: { $sum: { $subtract: ['$count', 1] } },
+          duplicates: { $push: '$cards' }
+        }
+      },
+      { $sort: { duplicateCount: -1, email: 1 } },
+      {
+        $project: {
+          _id: 0,
+          userId: '$_id',
+          email: 1,
+          customerId: 1,
+          duplicateCount: 1,
+          duplicates: 1
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      customers,
+      totalCustomers: customers.length,
+      totalDuplicates: customers.reduce((sum, customer) => sum + customer.duplicateCount, 0)
+    });
+  } catch (error) {
+    console.error('Error building duplicate card report:', error);
+    res.status(500).json({ message: 'Error building duplicate card report', error: error.message });
+  }
+});
+
+// Process payment directly with saved card with Stripe
+app.post('/process-payment-with-saved-card', authenticateTokenOrApiKey('payments:write'), blockPendingDeletion, idempotent, async (req, res) => {
+  const { amount, currency, paymentMethodId } = req.body;
+
+  if (!amount || !currency) {
+    return res.status(400).json({ message: 'Amount and currency are required' });
+  }
+
+  try {
+    // Get the user to find their default payment method if none provided
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Use provided payment method ID or fall back to user's default
+    let selectedPaymentMethodId = paymentMethodId || user.defaultPaymentMethodId;
+    
+    // If still no payment method, return an error
+    if (!selectedPaymentMethodId) {
+      return res.status(400).json({ 
+        message: 'No payment method provided and no default payment method set',
+        canAddCard: true
+      });
+    }
+
+    // Verify this payment method belongs to the customer
+    const paymentMethod = await stripeClient.paymentMethods.retrieve(selectedPaymentMethodId);
+    if (paymentMethod.customer !== req.user.customerId) {
+      return res.status(403).json({ message: 'This payment method does not belong to your account' });
+    }
+
+    // The saved method has to be offered for the currency and the customer's country
+    const allowedTypes = getAllowedPaymentMethodTypes(currency, getPaymentCountry(user));
+    if (!allowedTypes.includes(paymentMethod.type)) {
+      return res.status(400).json({
+        message: `${paymentMethod.type} is not available for this payment`,
+        allowedPaymentMethodTypes: allowedTypes
+      });
+    }
+
+    const paymentIntentParams = {
+      amount,
+      currency,
+      customer: req.user.customerId,
+      payment_method: selectedPaymentMethodId,
+      confirm: true,
+      // The allowed methods are chosen here rather than from the Stripe dashboard
+      automatic_payment_methods: {
+        enabled: false
+      },
+      payment_method_types: [paymentMethod.type]
+    };
+    if (NON_CARD_PAYMENT_METHODS[paymentMethod.type]?.debit) {
+      paymentIntentParams.mandate_data = onlineMandateData(req);
+    }
+
+    const paymentIntent = await stripeClient.paymentIntents.create(
+      paymentIntentParams,
+      stripeIdempotencyOptions(req, 'payment-intent')
+    );
+
+    // Record payment history in the user's document
+    await User.findByIdAndUpdate(
+      req.user.userId,
+      {
+        $push: {
+          paymentHistory: {
+            paymentIntentId: paymentIntent.id,
+            amount: paymentIntent.amount,
+            currency: paymentIntent.currency,
+            status: paymentIntent.status,
+            paymentMethodId: selectedPaymentMethodId,
+            paymentMethodLast4: getPaymentMethodLast4(paymentMethod),
+            paymentMethodType: paymentMethod.type
+          }
+        }
+      }
+    );
+
+    // The card issuer may ask for 3-D Secure; the client finishes the payment
+    // with nextAction and then calls /payments/:id/confirm
+    const nextAction = buildNextAction(paymentIntent);
+
+    res.status(nextAction ? 202 : 200).json({
+      message: nextAction
+        ? 'Payment requires authentication'
+        : paymentIntent.status === 'succeeded' ? 'Payment successful' : `Payment ${paymentIntent.status}`,
+      requiresAction: !!nextAction,
+      nextAction,
+      paymentIntent: {
+        id: paymentIntent.id,
+        status: paymentIntent.status,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency
+      },
+      paymentMethod: {
+        id: paymentMethod.id,
+        type: paymentMethod.type,
+        brand: paymentMethod.card?.brand,
+        last4: getPaymentMethodLast4(paymentMethod),
+        isDefault: selectedPaymentMethodId === user.defaultPaymentMethodId
+      }
+    });
+  } catch (error) {
+    console.error('Stripe Error:', error);
+    res.status(500).json({ message: 'Error processing payment', error: error.message });
+  }
+});
+
+// Confirm Payment API: finishes a payment after the customer completed 3-D Secure
+app.post('/payments/:id/confirm', authenticateTokenOrApiKey('payments:write'), requireVerifiedEmail, blockPendingDeletion, idempotent, async (req, res) => {
+  try {
+    let paymentIntent = await stripeClient.paymentIntents.retrieve(req.params.id);
+    if (paymentIntent.customer !== req.user.customerId) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Payments confirmed manually wait for the server once authentication is done.
+    // Methods that authenticate with a redirect send the customer back to the return URL.
+    if (paymentIntent.status === 'requires_confirmation') {
+      paymentIntent = await stripeClient.paymentIntents.confirm(
+        paymentIntent.id,
+        { return_url: PAYMENT_RETURN_URL },
+        stripeIdempotencyOptions(req, 'confirm')
+      );
+    }
+
+    await updatePendingOrder(req.user.userId, paymentIntent);
+
+    const payment = {
+      id: paymentIntent.id,
+      status: paymentIntent.status,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      orderId: paymentIntent.metadata?.orderId || null
+    };
+
+    switch (paymentIntent.status) {
+      case 'succeeded':
+        await handleSuccessfulPayment(paymentIntent);
+        return res.status(200).json({ message: 'Payment successful', paymentIntent: payment });
+
+      case 'requires_capture':
+        return res.status(200).json({ message: 'Payment authorized', paymentIntent: payment });
+
+      case 'processing':
+        await handlePaymentProcessing(paymentIntent);
+        return res.status(200).json({ message: 'Payment is processing', paymentIntent: payment });
+
+      case 'requires_action':
+        return res.status(202).json({
+          message: 'Payment requires authentication',
+          requiresAction: true,
+          nextAction: buildNextAction(paymentIntent),
+          paymentIntent: payment
+        });
+
+      case 'requires_payment_method':
+        await resolvePendingPayment(req.user.userId, paymentIntent.id, { status: 'failed' });
+        return res.status(402).json({
+          message: 'Authentication failed or the payment was declined',
+          error: paymentIntent.last_payment_error?.message || null,
+          paymentIntent: payment
+        });
+
+      default:
+        return res.status(400).json({
+          message: `Payment cannot be confirmed in status ${paymentIntent.status}`,
+          paymentIntent: payment
+        });
+    }
+  } catch (error) {
+    console.error('Error confirming payment:', error);
+    res.status(500).json({ message: 'Error confirming payment', error: error.message });
+  }
+});
+
+// Return URL for redirect payment methods. Stripe sends the customer's browser here without
+// an access token, so the client secret in the query string proves the payment is theirs.
+// With PAYMENT_RESULT_URL set the browser is sent on to that page with the outcome.
+app.get('/payments/return', async (req, res) => {
+  const { payment_intent: paymentIntentId, payment_intent_client_secret: clientSecret } = req.query;
+
+  if (!paymentIntentId || !clientSecret) {
+    return res.status(400).json({ message: 'payment_intent and payment_intent_client_secret are required' });
+  }
+
+  try {
+    const paymentIntent = await stripeClient.paymentIntents.retrieve(paymentIntentId);
+    const expected = Buffer.from(paymentIntent.client_secret || '');
+    const provided = Buffer.from(String(clientSecret));
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // The webhook records the outcome as well; whichever comes first wins
+    const user = await User.findOne({ customerId: paymentIntent.customer });
+    if (user) {
+      await updatePendingOrder(user._id, paymentIntent);
+
+      if (paymentIntent.status === 'succeeded') {
+        await handleSuccessfulPayment(paymentIntent);
+      } else if (paymentIntent.status === 'processing') {
+        await handlePaymentProcessing(paymentIntent);
+      } else if (paymentIntent.status === 'requires_payment_method') {
+        await resolvePendingPayment(user._id, paymentIntent.id, { status: 'failed' });
+      }
+    }
+
+    const result = {
+      paymentIntentId: paymentIntent.id,
+      status: paymentIntent.status,
+      orderId: paymentIntent.metadata?.orderId || null
+    };
+
+    if (process.env.PAYMENT_RESULT_URL) {
+      const resultUrl = new URL(process.env.PAYMENT_RESULT_URL);
+      Object.entries(result)
+        .filter(([, value]) => value)
+        .forEach(([key, value]) => resultUrl.searchParams.set(key, value));
+      return res.redirect(303, resultUrl.toString());
+    }
+
+    res.status(200).json({
+      message: paymentIntent.status === 'succeeded' ? 'Payment successful'
+        : paymentIntent.status === 'processing' ? 'Payment is processing'
+        : 'Payment was not completed',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error handling payment return:', error);
+    res.status(500).json({ message: 'Error handling payment return', error: error.message });
+  }
+});
+
+// Verify payment API with Stripe
+app.get('/verify-payment/:paymentIntentId', authenticateTokenOrApiKey('payments:read'), async (req, res) => {
+  const { paymentIntentId } = req.params;
+
+  try {
+    const paymentIntent = await stripeClient.paymentIntents.retrieve(paymentIntentId);
+
+    // Verify this payment belongs to the customer
+    if (paymentIntent.customer !== req.user.customerId) {
+      return res.status(403).json({ message: 'This payment does not belong to your account' });
+    }
+
+    res.status(200).json({
+      verified: paymentIntent.status === 'succeeded',
+      status: paymentIntent.status,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      paymentMethod: paymentIntent.payment_method,
+      created: new Date(paymentIntent.created * 1000).toISOString(),
+    });
+  } catch (error) {
+    console.error('Error verifying payment:', error);
+    res.status(500).json({ message: 'Error verifying payment', error: error.message });
+  }
+});
+
+// Get payment history API with caching
+app.get('/payment-history', authenticateTokenOrApiKey('payments:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const paymentHistory = user.paymentHistory || [];
+    
+    // Sort by most recent first
+    paymentHistory.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.status(200).json({
+      paymentHistory: paymentHistory.map(payment => ({
+        id: payment._id,
+        type: payment.type,
+        paymentIntentId: payment.paymentIntentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        paymentMethodLast4: payment.paymentMethodLast4,
+        description: payment.description,
+        date: payment.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching payment history:', error);
+    res.status(500).json({ message: 'Error fetching payment history', error: error.message });
+  }
+});
+
+// Get specific payment details API
+app.get('/payment-history/:paymentId', authenticateTokenOrApiKey('payments:read'), async (req, res) => {
+  const { paymentId } = req.params;
+  
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Find the specific payment in the user's payment history
+    const payment = user.paymentHistory.id(paymentId);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Store credit entries have no payment intent
+    if (payment.type !== 'payment') {
+      return res.status(200).json({
+        payment: {
+          id: payment._id,
+          type: payment.type,
+          balanceTransactionId: payment.balanceTransactionId,
+          amount: payment.amount,
+          currency: payment.currency,
+          status: payment.status,
+          description: payment.description,
+          orderId: payment.orderId,
+          date: payment.createdAt
+        }
+      });
+    }
+
+    // Get additional details from Stripe if needed
+    const paymentIntent = await stripeClient.paymentIntents.retrieve(payment.paymentIntentId);
+
+    res.status(200).json({
+      payment: {
+        id: payment._id,
+        type: payment.type,
+        paymentIntentId: payment.paymentIntentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        amountRefunded: payment.amountRefunded || 0,
+        refunds: (payment.refunds || []).map(formatRefund),
+        paymentMethodId: payment.paymentMethodId,
+        paymentMethodLast4: payment.paymentMethodLast4,
+        date: payment.createdAt,
+        stripeDetails: {
+          receiptUrl: paymentIntent.charges?.data[0]?.receipt_url || null,
+          paymentMethod: paymentIntent.payment_method_types,
+          description: paymentIntent.description || null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching payment details:', error);
+    res.status(500).json({ message: 'Error fetching payment details', error: error.message });
+  }
+});
+
+// Admin Refund Payment API (full or partial)
+app.post('/admin/payments/:paymentIntentId/refunds', authenticateToken, requireRole('billing_admin'), idempotent, async (req, res) => {
+  const { paymentIntentId } = req.params;
+  const { amount, reason = 'requested_by_customer', note } = req.body;
+  const allowedReasons = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+  if (!allowedReasons.includes(reason)) {
+    return res.status(400).json({ message: `Invalid reason. Allowed reasons: ${allowedReasons.join(', ')}` });
+  }
+
+  // Amounts are in the smallest currency unit, like the recorded payment amounts
+  if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+    return res.status(400).json({ message: 'Amount must be a positive integer in the smallest currency unit' });
+  }
+
+  try {
+    const user = await User.findOne({
+      $or: [
+        { 'paymentHistory.paymentIntentId': paymentIntentId },
+        { 'orders.paymentIntentId': paymentIntentId }
+      ]
+    });
+    if (!user) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const paymentIntent = await stripeClient.paymentIntents.retrieve(paymentIntentId, {
+      expand: ['latest_charge']
+    });
+    if (paymentIntent.status !== 'succeeded' || !paymentIntent.latest_charge) {
+      return res.status(400).json({ message: `Payment cannot be refunded in status ${paymentIntent.status}` });
+    }
+
+    const charge = paymentIntent.latest_charge;
+    const refundableAmount = charge.amount_captured - charge.amount_refunded;
+    if (refundableAmount <= 0) {
+      return res.status(400).json({ message: 'Payment has already been fully refunded' });
+    }
+
+    const refundAmount = amount !== undefined ? amount : refundableAmount;
+    if (refundAmount > refundableAmount) {
+      return res.status(400).json({
+        message: 'Refund amount exceeds the refundable amount',
+        refundableAmount
+      });
+    }
+
+    const order = user.orders.find(o => o.paymentIntentId === paymentIntentId);
+    const metadata = {
+      userId: user._id.toString(),
+      refundedBy: req.user.userId.toString()
+    };
+    if (order) metadata.orderId = order.orderId;
+    if (note) metadata.note = String(note).slice(0, 500);
+
+    const refund = await stripeClient.refunds.create({
+      payment_intent: paymentIntentId,
+      amount: refundAmount,
+      reason,
+      metadata
+    }, stripeIdempotencyOptions(req, 'refund'));
+
+    const recorded = await recordRefund(refund);
+
+    // Refunding the whole payment refunds the whole order, store credit included
+    let balanceTransaction = null;
+    if (order && refundAmount === refundableAmount) {
+      balanceTransaction = await returnOrderBalance(user, order, 'refunded');
+    }
+
+    await recordAuditLog(req, 'payment.refunded', user._id, {
+      paymentIntentId,
+      refundId: refund.id,
+      amount: refund.amount,
+      currency: refund.currency,
+      reason,
+      ...(balanceTransaction ? { balanceReturned: order.balanceApplied } : {})
+    });
+
+    res.status(201).json({
+      message: refundAmount === refundableAmount ? 'Payment refunded successfully' : 'Payment partially refunded successfully',
+      refund: {
+        refundId: refund.id,
+        amount: refund.amount,
+        currency: refund.currency,
+        reason: refund.reason,
+        status: refund.status
+      },
+      amountRefunded: charge.amount_refunded + refund.amount,
+      refundableAmount: refundableAmount - refund.amount,
+      balanceReturned: balanceTransaction ? order.balanceApplied : 0,
+      paymentStatus: recorded?.payment?.status || null,
+      orderStatus: recorded?.order?.status || null
+    });
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+    res.status(500).json({ message: 'Error refunding payment', error: error.message });
+  }
+});
+
+// Admin Refund History API
+app.get('/admin/payments/:paymentIntentId/refunds', authenticateToken, requireRole('billing_admin', 'support'), async (req, res) => {
+  const { paymentIntentId } = req.params;
+
+  try {
+    const user = await User.findOne({
+      $or: [
+        { 'paymentHistory.paymentIntentId': paymentIntentId },
+        { 'orders.paymentIntentId': paymentIntentId }
+      ]
+    });
+    if (!user) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const payment = findRefundablePayment(user, paymentIntentId);
+    const order = user.orders.find(o => o.paymentIntentId === paymentIntentId);
+    const record = payment || order;
+
+    res.status(200).json({
+      paymentIntentId,
+      userId: user._id,
+      amount: payment ? payment.amount : order.totalAmount,
+      currency: record.currency,
+      amountRefunded: record.amountRefunded || 0,
+      paymentStatus: payment ? payment.status : null,
+      orderId: order ? order.orderId : null,
+      orderStatus: order ? order.status : null,
+      refunds: (record.refunds || [])
+        .map(formatRefund)
+        .sort((a, b) => b.createdAt - a.createdAt)
+    });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({ message: 'Error fetching refunds', error: error.message });
+  }
+});
+
+const CAPTURE_METHODS = ['automatic', 'manual'];
+// Most card networks let an authorization be captured for 7 days
+const AUTHORIZATION_VALIDITY_DAYS = 7;
+const AUTHORIZATION_EXPIRY_WARNING_HOURS = parseInt(process.env.AUTHORIZATION_EXPIRY_WARNING_HOURS || '24');
+
+// When an authorization stops being capturable, as reported on the charge
+async function getCaptureBefore(paymentIntent) {
+  try {
+    if (paymentIntent.latest_charge) {
+      const charge = await stripeClient.charges.retrieve(paymentIntent.latest_charge);
+      const captureBefore = charge.payment_method_details?.card?.capture_before;
+      if (captureBefore) return new Date(captureBefore * 1000);
+    }
+  } catch (err) {
+    console.error(`Error retrieving capture deadline for ${paymentIntent.id}: ${err.message}`);
+  }
+
+  return new Date(paymentIntent.created * 1000 + AUTHORIZATION_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Admin Capture Payment API (full or partial; the uncaptured rest is released)
+app.post('/admin/payments/:paymentIntentId/capture', authenticateToken, requireRole('billing_admin'), idempotent, async (req, res) => {
+  const { paymentIntentId } = req.params;
+  const { amount } = req.body;
+
+  // Amounts are in the smallest currency unit, like the recorded payment amounts
+  if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0)) {
+    return res.status(400).json({ message: 'Amount must be a positive integer in the smallest currency unit' });
+  }
+
+  try {
+    const paymentIntent = await stripeClient.paymentIntents.retrieve(paymentIntentId);
+    const user = paymentIntent.customer ? await User.findOne({ customerId: paymentIntent.customer }) : null;
+    if (!user) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (paymentIntent.status !== 'requires_capture') {
+      return res.status(400).json({ message: `Payment cannot be captured in status ${paymentIntent.status}` });
+    }
+
+    if (amount !== undefined && amount > paymentIntent.amount_capturable) {
+      return res.status(400).json({
+        message: 'Capture amount exceeds the authorized amount',
+        amountCapturable: paymentIntent.amount_capturable
+      });
+    }
+
+    const captureParams = {};
+    if (amount !== undefined) captureParams.amount_to_capture = amount;
+
+    const capturedIntent = await stripeClient.paymentIntents.capture(
+      paymentIntentId,
+      captureParams,
+      stripeIdempotencyOptions(req, 'capture')
+    );
+
+    await User.updateOne(
+      { _id: user._id, 'orders.paymentIntentId': paymentIntentId },
+      {
+        $set: {
+          'orders.$.status': 'captured',
+          'orders.$.paymentStatus': capturedIntent.status,
+          'orders.$.amountCaptured': capturedIntent.amount_received,
+          'orders.$.capturedAt': new Date(),
+          'orders.$.updatedAt': new Date()
+        }
+      }
+    );
+
+    // The payment_intent.succeeded webhook records it too; whichever comes first wins
+    try {
+      await handleSuccessfulPayment(capturedIntent);
+    } catch (err) {
+      console.error(`Error recording captured payment ${paymentIntentId}: ${err.message}`);
+    }
+
+    await recordAuditLog(req, 'payment.captured', user._id, {
+      paymentIntentId,
+      amountCaptured: capturedIntent.amount_received,
+      amountAuthorized: capturedIntent.amount
+    });
+
+    const amountReleased = capturedIntent.amount - capturedIntent.amount_received;
+
+    res.status(200).json({
+      message: amountReleased > 0
+        ? 'Payment partially captured; the rest of the authorization was released'
+        : 'Payment captured successfully',
+      paymentIntentId,
+      status: capturedIntent.status,
+      amountCaptured: capturedIntent.amount_received,
+      amountReleased,
+      currency: capturedIntent.currency
+    });
+  } catch (error) {
+    console.error('Error capturing payment:', error);
+    res.status(500).json({ message: 'Error capturing payment', error: error.message });
+  }
+});
+
+// Admin Release Authorization API
+app.post('/admin/payments/:paymentIntentId/release', authenticateToken, requireRole('billing_admin'), idempotent, async (req, res) => {
+  const { paymentIntentId } = req.params;
+  const { reason = 'abandoned' } = req.body;
+  const allowedReasons = ['abandoned', 'duplicate', 'fraudulent', 'requested_by_customer'];
+
+  if (!allowedReasons.includes(reason)) {
+    return res.status(400).json({ message: `Invalid reason. Allowed reasons: ${allowedReasons.join(', ')}` });
+  }
+
+  try {
+    const paymentIntent = await stripeClient.paymentIntents.retrieve(paymentIntentId);
+    const user = paymentIntent.customer ? await User.findOne({ customerId: paymentIntent.customer }) : null;
+    if (!user) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (paymentIntent.status !== 'requires_capture') {
+      return res.status(400).json({ message: `Only authorized payments can be released, this one is ${paymentIntent.status}` });
+    }
+
+    const canceledIntent = await stripeClient.paymentIntents.cancel(
+      paymentIntentId,
+      { cancellation_reason: reason },
+      stripeIdempotencyOptions(req, 'release')
+    );
+
+    await User.updateOne(
+      { _id: user._id, 'orders.paymentIntentId': paymentIntentId },
+      {
+        $set: {
+          'orders.$.status': 'released',
+          'orders.$.paymentStatus': canceledIntent.status,
+          'orders.$.releasedAt': new Date(),
+          'orders.$.updatedAt': new Date()
+        }
+      }
+    );
+
+    await recordAuditLog(req, 'payment.authorization_released', user._id, {
+      paymentIntentId,
+      amount: paymentIntent.amount_capturable,
+      reason
+    });
+
+    res.status(200).json({
+      message: 'Authorization released successfully',
+      paymentIntentId,
+      status: canceledIntent.status,
+      amountReleased: paymentIntent.amount_capturable,
+      currency: canceledIntent.currency
+    });
+  } catch (error) {
+    console.error('Error releasing authorization:', error);
+    res.status(500).json({ message: 'Error releasing authorization', error: error.message });
+  }
+});
+
+// Admin Open Authorizations API, soonest to expire first
+app.get('/admin/authorizations', authenticateToken, requireRole('billing_admin', 'support'), async (req, res) => {
+  try {
+    const warningThreshold = new Date(Date.now() + AUTHORIZATION_EXPIRY_WARNING_HOURS * 60 * 60 * 1000);
+
+    const authorizations = await User.aggregate([
+      { $match: { 'orders.status': 'authorized' } },
+      { $unwind: '$orders' },
+      { $match: { 'orders.status': 'authorized' } },
+      { $sort: { 'orders.captureBefore': 1 } },
+      {
+        $project: {
+          _id: 0,
+          userId: '$_id',
+          email: 1,
+          orderId: '$orders.orderId',
+          paymentIntentId: '$orders.paymentIntentId',
+          totalAmount: '$orders.totalAmount',
+          currency: '$orders.currency',
+          authorizedAt: '$orders.authorizedAt',
+          captureBefore: '$orders.captureBefore',
+          flaggedAt: '$orders.authorizationExpiryFlaggedAt'
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      authorizations: authorizations.map(authorization => ({
+        ...authorization,
+        expiringSoon: !!authorization.captureBefore && authorization.captureBefore <= warningThreshold
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching authorizations:', error);
+    res.status(500).json({ message: 'Error fetching authorizations', error: error.message });
+  }
+});
+
+// Track an authorization that is ready to capture. Orders from /checkout and hosted
+// checkout carry their orderId in the metadata and are recorded there; authorizations
+// made any other way (e.g. /create-payment-intent) are recorded as an order here, so
+// they show up in /admin/authorizations and get expiry warnings.
+async function handleAuthorizedPayment(paymentIntent) {
+  if (paymentIntent.status !== 'requires_capture') return;
+
+  try {
+    const user = await User.findOne({ customerId: paymentIntent.customer });
+    if (!user) {
+      console.error(`No user found for customer ID: ${paymentIntent.customer}`);
+      return;
+    }
+
+    if (paymentIntent.metadata?.orderId) {
+      await updatePendingOrder(user._id, paymentIntent);
+      return;
+    }
+
+    const result = await User.updateOne(
+      { _id: user._id, 'orders.paymentIntentId': { $ne: paymentIntent.id } },
+      {
+        $push: {
+          orders: {
+            orderId: `order_${paymentIntent.id.slice(-24)}`,
+            paymentIntentId: paymentIntent.id,
+            customerId: paymentIntent.customer,
+            totalAmount: paymentIntent.amount,
+            currency: paymentIntent.currency,
+            items: [],
+            status: 'authorized',
+            paymentStatus: paymentIntent.status,
+            paymentMethodId: paymentIntent.payment_method,
+            captureMethod: 'manual',
+            authorizedAt: new Date(),
+            captureBefore: await getCaptureBefore(paymentIntent),
+            updatedAt: new Date()
+          }
+        }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`Authorization ${paymentIntent.id} recorded for user ${user.email}`);
+    }
+  } catch (err) {
+    console.error(`Error recording authorization: ${err.message}`);
+    throw err;
+  }
+}
+
+// Flag authorized orders that will expire within AUTHORIZATION_EXPIRY_WARNING_HOURS
+// and alert the billing team, once per order
+async function flagExpiringAuthorizations() {
+  const warningThreshold = new Date(Date.now() + AUTHORIZATION_EXPIRY_WARNING_HOURS * 60 * 60 * 1000);
+  const users = await User.find({
+    orders: {
+      $elemMatch: {
+        status: 'authorized',
+        captureBefore: { $lte: warningThreshold },
+        authorizationExpiryFlaggedAt: null
+      }
+    }
+  }).select('email orders');
+
+  const flagged = [];
+  for (const user of users) {
+    for (const order of user.orders) {
+      if (order.status !== 'authorized' || !order.captureBefore || order.captureBefore > warningThreshold ||
+          order.authorizationExpiryFlaggedAt) {
+        continue;
+      }
+
+      // Flag just this order, and only if it is still authorized and unflagged by now
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          orders: { $elemMatch: { orderId: order.orderId, status: 'authorized', authorizationExpiryFlaggedAt: null } }
+        },
+        { $set: { 'orders.$.authorizationExpiryFlaggedAt': new Date() } }
+      );
+      if (result.modifiedCount > 0) {
+        flagged.push({ email: user.email, order });
+      }
+    }
+  }
+
+  if (flagged.length === 0) return;
+
+  const lines = flagged.map(({ email, order }) =>
+    `- Order ${order.orderId} (${order.paymentIntentId}) for ${email}: ${(order.totalAmount / 100).toFixed(2)} ${order.currency.toUpperCase()}, capture before ${order.captureBefore.toUTCString()}`
+  );
+  console.warn(`${flagged.length} authorization(s) about to expire:\n${lines.join('\n')}`);
+
+  if (process.env.AUTHORIZATION_ALERT_EMAIL) {
+    await sendEmail({
+      to: process.env.AUTHORIZATION_ALERT_EMAIL,
+      subject: `${flagged.length} payment authorization(s) about to expire`,
+      text: `The following orders were authorized but not captured yet. Authorizations that expire are released automatically.\n\n${lines.join('\n')}`
+    });
+  }
+}
+
+// Helper function to handle successful payments
+async function handleSuccessfulPayment(paymentIntent) {
+  console.log(`PaymentIntent ${paymentIntent.id} was successful!`);
+  
+  try {
+    // Find the user by customer ID
+    const user = await User.findOne({ customerId: paymentIntent.customer });
+    
+    if (!user) {
+      console.error(`No user found for customer ID: ${paymentIntent.customer}`);
+      return;
+    }
+    
+    // A payment recorded while it waited for authentication is completed in place
+    const resolved = await resolvePendingPayment(user._id, paymentIntent.id, {
+      status: 'succeeded',
+      amount: paymentIntent.amount_received || paymentIntent.amount
+    });
+    if (resolved) {
+      console.log(`Pending payment ${paymentIntent.id} marked as succeeded for user ${user.email}`);
+      return;
+    }
+
+    // Check if this payment is already recorded
+    const existingPayment = await User.findOne({
+      _id: user._id,
+      'paymentHistory.paymentIntentId': paymentIntent.id
+    });
+    
+    if (existingPayment) {
+      console.log(`Payment ${paymentIntent.id} already recorded for user ${user.email}`);
+      return;
+    }
+
+    // Get payment method details to record last4
+    let paymentMethodLast4 = 'unknown';
+    let paymentMethodType = null;
+    if (paymentIntent.payment_method) {
+      try {
+        const paymentMethod = await stripeClient.paymentMethods.retrieve(paymentIntent.payment_method);
+        paymentMethodLast4 = getPaymentMethodLast4(paymentMethod) || 'unknown';
+        paymentMethodType = paymentMethod.type;
+      } catch (err) {
+        console.error(`Error retrieving payment method: ${err.message}`);
+      }
+    }
+    
+    // Record the payment unless the return route or a repeated webhook got there first
+    const result = await User.updateOne(
+      { _id: user._id, 'paymentHistory.paymentIntentId': { $ne: paymentIntent.id } },
+      {
+        $push: {
+          paymentHistory: {
+            paymentIntentId: paymentIntent.id,
+            // Less than the authorized amount after a partial capture
+            amount: paymentIntent.amount_received || paymentIntent.amount,
+            currency: paymentIntent.currency,
+            status: paymentIntent.status,
+            paymentMethodId: paymentIntent.payment_method,
+            paymentMethodLast4: paymentMethodLast4,
+            paymentMethodType
+          }
+        }
+      }
+    );
+    
+    if (result.modifiedCount === 0) {
+      console.log(`Payment ${paymentIntent.id} already recorded for user ${user.email}`);
+      return;
+    }
+
+    console.log(`Payment ${paymentIntent.id} recorded for user ${user.email}`);
+  } catch (err) {
+    console.error(`Error recording successful payment: ${err.message}`);
+    throw err;
+  }
+}
+
+// Helper function to handle failed payments
+async function handleFailedPayment(paymentIntent) {
+  console.log(`Payment failed for PaymentIntent ${paymentIntent.id}`);
+  const errorMessage = paymentIntent.last_payment_error 
+    ? paymentIntent.last_payment_error.message 
+    : 'Unknown error';
+  
+  try {
+    // Find the user by customer ID
+    const user = await User.findOne({ customerId: paymentIntent.customer });
+    
+    if (!user) {
+      console.error(`No user found for customer ID: ${paymentIntent.customer}`);
+      return;
+    }
+    
+    // A failed payment can still be retried with another method, so store credit
+    // would be returned too early. Orders paid partly with credit are canceled
+    // instead; payment_intent.canceled then gives the credit back.
+    const order = user.orders.find(o => o.paymentIntentId === paymentIntent.id);
+    if (order?.balanceApplied && !order.balanceRestoredAt) {
+      try {
+        await stripeClient.paymentIntents.cancel(paymentIntent.id, { cancellation_reason: 'abandoned' });
+      } catch (err) {
+        console.error(`Could not cancel failed payment ${paymentIntent.id} of order ${order.orderId}: ${err.message}`);
+      }
+    }
+    
+    // Failed authentication of a pending payment
+    if (await resolvePendingPayment(user._id, paymentIntent.id, { status: 'failed' })) {
+      console.log(`Pending payment ${paymentIntent.id} marked as failed for user ${user.email}`);
+      return;
+    }
+    
+    // Record the failed payment
+    await User.findByIdAndUpdate(
+      user._id,
+      {
+        $push: {
+          paymentHistory: {
+            paymentIntentId: paymentIntent.id,
+            amount: paymentIntent.amount,
+            currency: paymentIntent.currency,
+            status: 'failed',
+            errorMessage: errorMessage,
+            paymentMethodId: paymentIntent.payment_method
+          }
+        }
+      }
+    );
+    
+    console.log(`Failed payment ${paymentIntent.id} recorded for user ${user.email}`);
+  } catch (err) {
+    console.error(`Error recording failed payment: ${err.message}`);
+    throw err;
+  }
+}
+
+// Helper function to handle payments requiring additional action
+async function handlePaymentRequiresAction(paymentIntent) {
+  console.log(`PaymentIntent ${paymentIntent.id} requires action: ${paymentIntent.next_action?.type}`);
+
+  try {
+    const user = await User.findOne({ customerId: paymentIntent.customer });
+    
+    if (!user) {
+      console.error(`No user found for customer ID: ${paymentIntent.customer}`);
+      return;
+    }
+
+    await updatePendingOrder(user._id, paymentIntent);
+
+    // Record the payment as waiting for authentication unless it is already known
+    await User.updateOne(
+      { _id: user._id, 'paymentHistory.paymentIntentId': { $ne: paymentIntent.id } },
+      {
+        $push: {
+          paymentHistory: {
+            paymentIntentId: paymentIntent.id,
+            amount: paymentIntent.amount,
+            currency: paymentIntent.currency,
+            status: 'requires_action',
+            paymentMethodId: paymentIntent.payment_method,
+            orderId: paymentIntent.metadata?.orderId
+          }
+        }
+      }
+    );
+
+    console.log(`Payment ${paymentIntent.id} marked as waiting for authentication for user ${user.email}`);
+  } catch (err) {
+    console.error(`Error recording payment that requires action: ${err.message}`);
+    throw err;
+  }
+}
+
+// Helper function to handle payments that were accepted but have not settled yet
+// (bank debits take several days)
+async function handlePaymentProcessing(paymentIntent) {
+  console.log(`PaymentIntent ${paymentIntent.id} is processing`);
+
+  try {
+    const user = await User.findOne({ customerId: paymentIntent.customer });
+    
+    if (!user) {
+      console.error(`No user found for customer ID: ${paymentIntent.customer}`);
+      return;
+    }
 
-    // Record payment history in the user's document
-    await User.findByIdAndUpdate(
-      req.user.userId,
+    await updatePendingOrder(user._id, paymentIntent);
+
+    if (await resolvePendingPayment(user._id, paymentIntent.id, { status: 'processing' })) {
+      console.log(`Pending payment ${paymentIntent.id} marked as processing for user ${user.email}`);
+      return;
+    }
+
+    let paymentMethod = null;
+    if (paymentIntent.payment_method) {
+      try {
+        paymentMethod = await stripeClient.paymentMethods.retrieve(paymentIntent.payment_method);
+      } catch (err) {
+        console.error(`Error retrieving payment method: ${err.message}`);
+      }
+    }
+
+    // Record the payment as processing unless it is already known
+    await User.updateOne(
+      { _id: user._id, 'paymentHistory.paymentIntentId': { $ne: paymentIntent.id } },
       {
         $push: {
           paymentHistory: {
             paymentIntentId: paymentIntent.id,
             amount: paymentIntent.amount,
             currency: paymentIntent.currency,
-            status: paymentIntent.status,
-            paymentMethodId: paymentMethod.id,
-            paymentMethodLast4: paymentMethod.card.last4
+            status: 'processing',
+            paymentMethodId: paymentIntent.payment_method,
+            paymentMethodLast4: getPaymentMethodLast4(paymentMethod),
+            paymentMethodType: paymentMethod?.type,
+            orderId: paymentIntent.metadata?.orderId
           }
         }
       }
     );
 
-    return res.status(200).json({
-      message: 'Payment successful',
+    console.log(`Payment ${paymentIntent.id} marked as processing for user ${user.email}`);
+  } catch (err) {
+    console.error(`Error recording processing payment: ${err.message}`);
+    throw err;
+  }
+}
+
+// Payment history entries that still wait for the outcome of the payment
+const PENDING_PAYMENT_STATUSES = ['requires_action', 'processing'];
+
+// Update the pending payment history entry of a payment intent with `fields`.
+// Returns false when there is no pending entry.
+async function resolvePendingPayment(userId, paymentIntentId, fields) {
+  const update = {};
+  for (const [field, value] of Object.entries(fields)) {
+    update[`paymentHistory.$.${field}`] = value;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      paymentHistory: { $elemMatch: { paymentIntentId, status: { $in: PENDING_PAYMENT_STATUSES } } }
+    },
+    { $set: update }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Order status for each payment intent status, for orders that are not settled yet
+const ORDER_STATUS_BY_PAYMENT_STATUS = {
+  requires_action: 'pending_authentication',
+  processing: 'processing',
+  requires_capture: 'authorized',
+  succeeded: 'completed',
+  requires_payment_method: 'failed',
+  canceled: 'canceled'
+};
+const PENDING_ORDER_STATUSES = ['pending_authentication', 'processing'];
+
+// Move an order that waits for authentication or processing to the payment's status
+async function updatePendingOrder(userId, paymentIntent) {
+  const status = ORDER_STATUS_BY_PAYMENT_STATUS[paymentIntent.status];
+  if (!status) return;
+
+  const update = {
+    'orders.$.status': status,
+    'orders.$.paymentStatus': paymentIntent.status,
+    'orders.$.updatedAt': new Date()
+  };
+  if (paymentIntent.status === 'requires_capture') {
+    update['orders.$.authorizedAt'] = new Date();
+    update['orders.$.captureBefore'] = await getCaptureBefore(paymentIntent);
+  }
+
+  await User.updateOne(
+    {
+      _id: userId,
+      orders: { $elemMatch: { paymentIntentId: paymentIntent.id, status: { $in: PENDING_ORDER_STATUSES } } }
+    },
+    { $set: update }
+  );
+}
+
+// What the client has to do to finish a payment that needs authentication (3-D Secure)
+function buildNextAction(paymentIntent) {
+  if (paymentIntent.status !== 'requires_action' || !paymentIntent.next_action) return null;
+
+  return {
+    type: paymentIntent.next_action.type,
+    clientSecret: paymentIntent.client_secret,
+    redirectUrl: paymentIntent.next_action.redirect_to_url?.url || null,
+    confirmUrl: `/payments/${paymentIntent.id}/confirm`
+  };
+}
+
+// Helper function to handle canceled payments
+async function handleCanceledPayment(paymentIntent) {
+  console.log(`PaymentIntent ${paymentIntent.id} was canceled`);
+  
+  try {
+    // Find the user by customer ID
+    const user = await User.findOne({ customerId: paymentIntent.customer });
+    
+    if (!user) {
+      console.error(`No user found for customer ID: ${paymentIntent.customer}`);
+      return;
+    }
+    
+    // Mark a payment that is already known as canceled, and record it otherwise.
+    // A repeated webhook finds the entry and adds nothing.
+    await User.updateOne(
+      { _id: user._id, 'paymentHistory.paymentIntentId': paymentIntent.id },
+      { $set: { 'paymentHistory.$.status': 'canceled' } }
+    );
+    await User.updateOne(
+      { _id: user._id, 'paymentHistory.paymentIntentId': { $ne: paymentIntent.id } },
+      {
+        $push: {
+          paymentHistory: {
+            paymentIntentId: paymentIntent.id,
+            amount: paymentIntent.amount,
+            currency: paymentIntent.currency,
+            status: 'canceled',
+            paymentMethodId: paymentIntent.payment_method
+          }
+        }
+      }
+    );
+    
+    console.log(`Canceled payment ${paymentIntent.id} recorded for user ${user.email}`);
+
+    // Authorizations that were released or expired without being captured
+    await User.updateOne(
+      { _id: user._id, orders: { $elemMatch: { paymentIntentId: paymentIntent.id, status: 'authorized' } } },
+      {
+        $set: {
+          'orders.$.status': 'released',
+          'orders.$.paymentStatus': 'canceled',
+          'orders.$.releasedAt': new Date(),
+          'orders.$.updatedAt': new Date()
+        }
+      }
+    );
+
+    await restoreOrderBalance(paymentIntent);
+  } catch (err) {
+    console.error(`Error recording canceled payment: ${err.message}`);
+    throw err;
+  }
+}
+
+// Mirror a payment method that was attached or changed in Stripe (including card
+// updates from the card networks)
+async function handlePaymentMethodChanged(paymentMethod) {
+  if (paymentMethod.type !== 'card') return;
+
+  try {
+    const user = paymentMethod.customer
+      ? await User.findOne({ customerId: paymentMethod.customer })
+      : await User.findOne({ 'paymentMethods.paymentMethodId': paymentMethod.id });
+
+    if (!user) {
+      console.error(`No user found for payment method ${paymentMethod.id}`);
+      return;
+    }
+
+    await user.savePaymentMethod(paymentMethod);
+
+    console.log(`Payment method ${paymentMethod.id} mirrored for user ${user.email}`);
+  } catch (err) {
+    console.error(`Error mirroring payment method: ${err.message}`);
+    throw err;
+  }
+}
+
+async function handlePaymentMethodDetached(paymentMethod) {
+  try {
+    // A detached payment method no longer references the customer
+    const user = await User.findOne({ 'paymentMethods.paymentMethodId': paymentMethod.id });
+    if (!user) return;
+
+    await user.deletePaymentMethod(paymentMethod.id);
+
+    console.log(`Payment method ${paymentMethod.id} removed for user ${user.email}`);
+  } catch (err) {
+    console.error(`Error removing payment method: ${err.message}`);
+    throw err;
+  }
+}
+
+// The default payment method can be changed in the Stripe dashboard
+async function handleCustomerUpdated(customer) {
+  try {
+    const user = await User.findOne({ customerId: customer.id });
+    if (!user) return;
+
+    // Like the refresh, a local default is kept when Stripe has none
+    const defaultPaymentMethodId = customer.invoice_settings?.default_payment_method;
+    if (!defaultPaymentMethodId || user.defaultPaymentMethodId === defaultPaymentMethodId) return;
+
+    if (!user.hasPaymentMethod(defaultPaymentMethodId)) {
+      await user.refreshPaymentMethods(stripeClient);
+    } else {
+      await user.saveDefaultPaymentMethod(defaultPaymentMethodId);
+    }
+
+    console.log(`Default payment method of user ${user.email} is now ${user.defaultPaymentMethodId}`);
+  } catch (err) {
+    console.error(`Error updating default payment method: ${err.message}`);
+    throw err;
+  }
+}
+
+// Refunds that count towards the refunded amount
+const ACTIVE_REFUND_STATUSES = ['pending', 'requires_action', 'succeeded'];
+const REFUNDED_STATUSES = ['partially_refunded', 'refunded'];
+
+// Add or update a refund on the payment history entries or orders (`field`) matching
+// `match`. Each step is a single atomic update, because refund webhooks and the admin
+// refund route record the same refund concurrently. amountRefunded only moves when a
+// refund enters or leaves ACTIVE_REFUND_STATUSES.
+async function saveRefund(userId, field, match, refund) {
+  const active = ACTIVE_REFUND_STATUSES.includes(refund.status);
+
+  const added = await User.updateOne(
+    { _id: userId, [field]: { $elemMatch: { ...match, 'refunds.refundId': { $ne: refund.id } } } },
+    {
+      $push: {
+        [`${field}.$.refunds`]: {
+          refundId: refund.id,
+          amount: refund.amount,
+          currency: refund.currency,
+          reason: refund.reason,
+          note: refund.metadata?.note,
+          status: refund.status,
+          refundedBy: refund.metadata?.refundedBy,
+          createdAt: new Date(refund.created * 1000)
+        }
+      },
+      $inc: { [`${field}.$.amountRefunded`]: active ? refund.amount : 0 }
+    }
+  );
+  if (added.modifiedCount > 0) return;
+
+  const recordFilter = Object.fromEntries(Object.entries(match).map(([key, value]) => [`record.${key}`, value]));
+
+  // A known refund that became active or stopped being active (e.g. failed). The
+  // transition is part of the query, so recording the same status again (the admin
+  // route, charge.refunded and charge.refund.updated all do) matches nothing.
+  await User.updateOne(
+    {
+      _id: userId,
+      [field]: {
+        $elemMatch: {
+          ...match,
+          refunds: {
+            $elemMatch: { refundId: refund.id, status: { [active ? '$nin' : '$in']: ACTIVE_REFUND_STATUSES } }
+          }
+        }
+      }
+    },
+    {
+      $set: { [`${field}.$.refunds.$[refund].status`]: refund.status },
+      $inc: { [`${field}.$.amountRefunded`]: active ? refund.amount : -refund.amount }
+    },
+    { arrayFilters: [{ 'refund.refundId': refund.id }] }
+  );
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { [`${field}.$[record].refunds.$[refund].status`]: refund.status } },
+    { arrayFilters: [recordFilter, { 'refund.refundId': refund.id }] }
+  );
+}
+
+// Status of a payment or order once refunds are taken into account, or null if
+// it is unaffected by refunds
+function refundStatus(record, totalAmount) {
+  if (record.amountRefunded > 0) {
+    return record.amountRefunded >= totalAmount ? 'refunded' : 'partially_refunded';
+  }
+  return null;
+}
+
+// Payment history entries of a payment that was paid, and so can be refunded
+const refundablePaymentMatch = (paymentIntentId) => ({
+  paymentIntentId,
+  status: { $in: ['succeeded', ...REFUNDED_STATUSES] }
+});
+
+// Find the paid payment history entry of a payment intent
+function findRefundablePayment(user, paymentIntentId) {
+  const payments = user.paymentHistory.filter(p => p.paymentIntentId === paymentIntentId);
+  return payments.find(p => p.status === 'succeeded' || REFUNDED_STATUSES.includes(p.status)) || payments[0];
+}
+
+// Record a Stripe refund on the payment history entry and the order of its payment
+async function recordRefund(refund) {
+  const paymentIntentId = refund.payment_intent;
+
+  try {
+    const user = await User.findOne({
+      $or: [
+        { 'paymentHistory.paymentIntentId': paymentIntentId },
+        { 'orders.paymentIntentId': paymentIntentId }
+      ]
+    });
+
+    if (!user) {
+      console.error(`No payment or order found for refunded payment ${paymentIntentId}`);
+      return null;
+    }
+
+    await saveRefund(user._id, 'paymentHistory', refundablePaymentMatch(paymentIntentId), refund);
+    await saveRefund(user._id, 'orders', { paymentIntentId }, refund);
+
+    // The status follows from the refunded amount just read back. It is only written
+    // while that amount is unchanged; otherwise a later refund event writes it.
+    const updated = await User.findById(user._id);
+
+    const payment = findRefundablePayment(updated, paymentIntentId);
+    if (payment) {
+      const status = refundStatus(payment, payment.amount) ||
+        (REFUNDED_STATUSES.includes(payment.status) ? 'succeeded' : payment.status);
+      if (status !== payment.status) {
+        await User.updateOne(
+          {
+            _id: user._id,
+            paymentHistory: { $elemMatch: { ...refundablePaymentMatch(paymentIntentId), amountRefunded: payment.amountRefunded } }
+          },
+          { $set: { 'paymentHistory.$.status': status } }
+        );
+        payment.status = status;
+      }
+    }
+
+    const order = updated.orders.find(o => o.paymentIntentId === paymentIntentId);
+    if (order) {
+      let status = refundStatus(order, order.amountCaptured ?? order.totalAmount);
+      let paymentStatus = status;
+      if (!status && REFUNDED_STATUSES.includes(order.status)) {
+        status = 'completed';
+        paymentStatus = 'succeeded';
+      }
+      if (status && status !== order.status) {
+        await User.updateOne(
+          { _id: user._id, orders: { $elemMatch: { paymentIntentId, amountRefunded: order.amountRefunded } } },
+          {
+            $set: {
+              'orders.$.status': status,
+              'orders.$.paymentStatus': paymentStatus,
+              'orders.$.updatedAt': new Date()
+            }
+          }
+        );
+        order.status = status;
+        order.paymentStatus = paymentStatus;
+      }
+    }
+
+    console.log(`Refund ${refund.id} (${refund.status}) recorded for payment ${paymentIntentId}`);
+
+    return { user: updated, payment, order };
+  } catch (err) {
+    console.error(`Error recording refund: ${err.message}`);
+    throw err;
+  }
+}
+
+// Refunds made in the Stripe dashboard only reach us through this event
+async function handleChargeRefunded(charge) {
+  if (!charge.payment_intent) return;
+
+  const refunds = await stripeClient.refunds.list({ charge: charge.id, limit: 100 });
+  for (const refund of refunds.data) {
+    await recordRefund(refund);
+  }
+}
+
+function formatRefund(refund) {
+  return {
+    refundId: refund.refundId,
+    amount: refund.amount,
+    currency: refund.currency,
+    reason: refund.reason,
+    note: refund.note,
+    status: refund.status,
+    refundedBy: refund.refundedBy,
+    createdAt: refund.createdAt
+  };
+}
+
+// Test endpoint to confirm payments (for testing only - not for production use)
+app.post('/confirm-test-payment', authenticateToken, blockPendingDeletion, async (req, res) => {
+  const { paymentIntentId } = req.body;
+  
+  if (!paymentIntentId) {
+    return res.status(400).json({ message: 'Payment Intent ID is required' });
+  }
+  
+  try {
+    // Confirm the payment intent with a test card
+    const paymentIntent = await stripeClient.paymentIntents.confirm(
+      paymentIntentId,
+      {
+        payment_method: 'pm_card_visa' // This is a Stripe test card
+      }
+    );
+    
+    res.status(200).json({
+      message: 'Payment confirmed for testing',
       paymentIntent: {
         id: paymentIntent.id,
         status: paymentIntent.status,
@@ -452,695 +4875,783 @@ app.post('/process-payment', authenticateToken, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Stripe Error:', error);
-    return res.status(500).json({ message: 'Error processing payment', error: error.message });
+    console.error('Error confirming test payment:', error);
+    res.status(500).json({ message: 'Error confirming payment', error: error.message });
   }
 });
 
-// Saved card list API with Stripe
-app.get('/cards', authenticateToken,  async (req, res) => {
+// Convert a saved address to the format Stripe customers use
+function toStripeAddress(address) {
+  return {
+    line1: address.street,
+    line2: address.line2 || undefined,
+    city: address.city,
+    state: address.state || undefined,
+    postal_code: address.zipCode,
+    country: address.country
+  };
+}
+
+// Convert a saved address to the format stored on orders
+function toOrderAddress(address, user) {
+  return {
+    name: address.name || user.fullName,
+    line1: address.street,
+    line2: address.line2,
+    city: address.city,
+    state: address.state,
+    postalCode: address.zipCode,
+    country: address.country,
+    phone: address.phone || user.phoneNumber
+  };
+}
+
+// Make sure at most one address is the default, preferring the given one
+function setDefaultAddress(user, addressId) {
+  user.addresses.forEach(addr => {
+    addr.isDefault = addr._id.toString() === addressId.toString();
+  });
+}
+
+// Copy the user's default address to the Stripe customer's address and shipping details
+async function syncDefaultAddressToStripe(user) {
+  const defaultAddress = user.addresses.find(addr => addr.isDefault);
+  if (!defaultAddress) return;
+
   try {
-    const paymentMethods = await stripeClient.paymentMethods.list({
-      customer: req.user.customerId,
-      type: 'card',
+    const stripeAddress = toStripeAddress(defaultAddress);
+    await stripeClient.customers.update(user.customerId, {
+      address: stripeAddress,
+      shipping: {
+        name: defaultAddress.name || user.fullName,
+        phone: defaultAddress.phone || user.phoneNumber || undefined,
+        address: stripeAddress
+      }
     });
+  } catch (err) {
+    // The address book is still usable; the next change will retry the sync
+    console.error(`Error syncing address to Stripe customer ${user.customerId}: ${err.message}`);
+  }
+}
+
+// Shape a saved address for API responses
+function formatAddress(address) {
+  return {
+    id: address._id,
+    name: address.name,
+    street: address.street,
+    line2: address.line2,
+    city: address.city,
+    state: address.state,
+    zipCode: address.zipCode,
+    country: address.country,
+    phone: address.phone,
+    isDefault: address.isDefault
+  };
+}
+
+const ADDRESS_FIELDS = ['name', 'street', 'line2', 'city', 'state', 'zipCode', 'country', 'phone'];
+const REQUIRED_ADDRESS_FIELDS = ['street', 'city', 'zipCode'];
+
+// Check the address fields of a request body. New addresses need every required field;
+// updates may leave fields out but cannot empty a required one. Returns an error message or null.
+function validateAddressInput(body, { partial = false } = {}) {
+  const invalidField = ADDRESS_FIELDS.find(field =>
+    body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string');
+  if (invalidField) {
+    return `${invalidField} must be a string`;
+  }
+
+  const missing = REQUIRED_ADDRESS_FIELDS.some(field =>
+    partial ? body[field] !== undefined && !String(body[field] ?? '').trim() : !body[field]?.trim());
+  if (missing) {
+    return 'Street, city and zip code are required';
+  }
+
+  return null;
+}
 
-    // Get user to determine default payment method
+// Get saved addresses API
+app.get('/addresses', authenticateToken, async (req, res) => {
+  try {
     const user = await User.findById(req.user.userId);
-    const defaultPaymentMethodId = user.defaultPaymentMethodId || null;
-
-    const cards = paymentMethods.data.map(pm => {
-      const card = pm.card;
-      return {
-        id: pm.id,
-        brand: card.brand,
-        last4: card.last4,
-        expMonth: card.exp_month,
-        expYear: card.exp_year,
-        isDefault: pm.id === defaultPaymentMethodId
-      };
-    });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-    res.status(200).json({ cards });
+    res.status(200).json({
+      addresses: user.addresses.map(formatAddress)
+    });
   } catch (error) {
-    console.error('Error fetching cards:', error);
-    res.status(500).json({ message: 'Error fetching saved cards', error: error.message });
+    console.error('Error fetching addresses:', error);
+    res.status(500).json({ message: 'Error fetching addresses', error: error.message });
   }
 });
 
-// Add new card API with Stripe
-app.post('/cards', authenticateToken, async (req, res) => {
-  const { cardNumber, expMonth, expYear, cvc } = req.body;
-  
-  if (!cardNumber || !expMonth || !expYear || !cvc) {
-    return res.status(400).json({ message: 'Missing required card fields' });
+// Add address API
+app.post('/addresses', authenticateToken, async (req, res) => {
+  const { name, street, line2, city, state, zipCode, country, phone, isDefault = false } = req.body;
+
+  const validationError = validateAddressInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
   }
 
   try {
-    let paymentMethod;
-    let cardSource = 'unknown';
-    let detectedType = 'unknown';
-    
-    // Check if this is a test card number we can map to a token
-    if (cardNumber === '4242424242424242' || 
-        cardNumber === '4000056655665556' || 
-        cardNumber.startsWith('42')) {
-      // Visa test card
-      paymentMethod = await stripeClient.paymentMethods.create({
-        type: 'card',
-        card: { token: 'tok_visa' }
-      });
-      cardSource = 'test_token';
-      detectedType = 'visa';
-    } else if (cardNumber === '5555555555554444' || 
-               cardNumber.startsWith('55')) {
-      // Mastercard test card
-      paymentMethod = await stripeClient.paymentMethods.create({
-        type: 'card',
-        card: { token: 'tok_mastercard' }
-      });
-      cardSource = 'test_token';
-      detectedType = 'mastercard';
-    } else if (cardNumber === '378282246310005' || 
-               cardNumber === '371449635398431' || 
-               cardNumber.startsWith('34') || 
-               cardNumber.startsWith('37')) {
-      // American Express test card
-      paymentMethod = await stripeClient.paymentMethods.create({
-        type: 'card',
-        card: { token: 'tok_amex' }
-      });
-      cardSource = 'test_token';
-      detectedType = 'amex';
-    } else if (cardNumber === '6011111111111117' || 
-               cardNumber.startsWith('6011')) {
-      // Discover test card
-      paymentMethod = await stripeClient.paymentMethods.create({
-        type: 'card',
-        card: { token: 'tok_discover' }
-      });
-      cardSource = 'test_token';
-      detectedType = 'discover';
-    } else {
-      // For any other card, try to process as a real card
-      try {
-        console.log("Attempting to process raw card data...");
-        paymentMethod = await stripeClient.paymentMethods.create({
-          type: 'card',
-          card: {
-            number: cardNumber,
-            exp_month: expMonth,
-            exp_year: expYear,
-            cvc: cvc,
-          },
-        });
-        cardSource = 'raw_card_api';
-        detectedType = 'real_card';
-      } catch (cardError) {
-        console.log("Raw card processing failed, fallback to token:", cardError.message);
-        // If raw card API access is not enabled, fallback to a test card based on
-        // the first digit of the card number (rough card type detection)
-        const firstDigit = cardNumber.charAt(0);
-        
-        if (firstDigit === '4') {
-          // Visa-like
-          paymentMethod = await stripeClient.paymentMethods.create({
-            type: 'card',
-            card: { token: 'tok_visa' }
-          });
-          cardSource = 'fallback_token';
-          detectedType = 'visa_fallback';
-        } else if (firstDigit === '5') {
-          // Mastercard-like
-          paymentMethod = await stripeClient.paymentMethods.create({
-            type: 'card',
-            card: { token: 'tok_mastercard' }
-          });
-          cardSource = 'fallback_token';
-          detectedType = 'mastercard_fallback';
-        } else if (firstDigit === '3') {
-          // Amex-like or Diners-like
-          paymentMethod = await stripeClient.paymentMethods.create({
-            type: 'card',
-            card: { token: 'tok_amex' }
-          });
-          cardSource = 'fallback_token';
-          detectedType = 'amex_fallback';
-        } else if (firstDigit === '6') {
-          // Discover-like
-          paymentMethod = await stripeClient.paymentMethods.create({
-            type: 'card',
-            card: { token: 'tok_discover' }
-          });
-          cardSource = 'fallback_token';
-          detectedType = 'discover_fallback';
-        } else {
-          // Default to Visa if no match
-          paymentMethod = await stripeClient.paymentMethods.create({
-            type: 'card',
-            card: { token: 'tok_visa' }
-          });
-          cardSource = 'default_token';
-          detectedType = 'default_visa';
-        }
-      }
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Attach the payment method to the customer
-    await stripeClient.paymentMethods.attach(paymentMethod.id, {
-      customer: req.user.customerId,
-    });
-
-    // If this is the first card, set it as default
-    const paymentMethods = await stripeClient.paymentMethods.list({
-      customer: req.user.customerId,
-      type: 'card',
-    });
+    user.addresses.push({ name, street, line2, city, state, zipCode, country, phone });
+    const address = user.addresses[user.addresses.length - 1];
 
-    if (paymentMethods.data.length === 1) {
-      // Update the customer's default payment method
-      await stripeClient.customers.update(req.user.customerId, {
-        invoice_settings: {
-          default_payment_method: paymentMethod.id,
-        },
-      });
+    // The first address becomes the default
+    const makeDefault = isDefault || user.addresses.length === 1;
+    if (makeDefault) {
+      setDefaultAddress(user, address._id);
+    }
 
-      // Save the default payment method ID to the user
-      await User.findByIdAndUpdate(req.user.userId, {
-        defaultPaymentMethodId: paymentMethod.id
-      });
+    await user.save();
+
+    if (makeDefault) {
+      await syncDefaultAddressToStripe(user);
     }
 
     res.status(201).json({
-      message: 'Card added successfully',
-      card: {
-        id: paymentMethod.id,
-        brand: paymentMethod.card.brand,
-        last4: paymentMethod.card.last4,
-        expMonth: paymentMethod.card.exp_month,
-        expYear: paymentMethod.card.exp_year,
-        isDefault: paymentMethods.data.length === 1
-      },
-      debug: {
-        inputCardNumber: cardNumber.slice(0, 6) + '******' + cardNumber.slice(-4),
-        cardSource,
-        detectedType,
-        firstDigit: cardNumber.charAt(0)
-      }
+      message: 'Address added successfully',
+      address: formatAddress(address)
     });
   } catch (error) {
-    console.error('Error adding card:', error);
-    res.status(500).json({ message: 'Error adding card', error: error.message });
+    console.error('Error adding address:', error);
+    res.status(500).json({ message: 'Error adding address', error: error.message });
   }
 });
 
-// Set primary card API with Stripe
-app.post('/cards/:cardId/set-default', authenticateToken, async (req, res) => {
-  const { cardId } = req.params;
+// Update address API
+app.put('/addresses/:addressId', authenticateToken, async (req, res) => {
+  const { addressId } = req.params;
+
+  const validationError = validateAddressInput(req.body, { partial: true });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
 
   try {
-    // Verify this payment method belongs to the customer
-    const paymentMethod = await stripeClient.paymentMethods.retrieve(cardId);
-    if (paymentMethod.customer !== req.user.customerId) {
-      return res.status(403).json({ message: 'This card does not belong to your account' });
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Update the customer's default payment method
-    await stripeClient.customers.update(req.user.customerId, {
-      invoice_settings: {
-        default_payment_method: cardId,
-      },
-    });
+    const address = user.addresses.id(addressId);
+    if (!address) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
 
-    // Save the default payment method ID to the user
-    await User.findByIdAndUpdate(req.user.userId, {
-      defaultPaymentMethodId: cardId
+    ADDRESS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        address[field] = req.body[field];
+      }
     });
 
-    res.status(200).json({ message: 'Default payment method updated successfully' });
+    if (req.body.isDefault === true) {
+      setDefaultAddress(user, address._id);
+    }
+
+    await user.save();
+
+    if (address.isDefault) {
+      await syncDefaultAddressToStripe(user);
+    }
+
+    res.status(200).json({
+      message: 'Address updated successfully',
+      address: formatAddress(address)
+    });
   } catch (error) {
-    console.error('Error setting default card:', error);
-    res.status(500).json({ message: 'Error setting default payment method', error: error.message });
+    console.error('Error updating address:', error);
+    res.status(500).json({ message: 'Error updating address', error: error.message });
   }
 });
 
-// Update existing card API with Stripe
-app.put('/cards/:cardId', authenticateToken, async (req, res) => {
-  const { cardId } = req.params;
-  const { expMonth, expYear } = req.body;
-
-  if (!expMonth || !expYear) {
-    return res.status(400).json({ message: 'Missing required fields' });
-  }
+// Set default address API
+app.post('/addresses/:addressId/set-default', authenticateToken, async (req, res) => {
+  const { addressId } = req.params;
 
   try {
-    // Verify this payment method belongs to the customer
-    const paymentMethod = await stripeClient.paymentMethods.retrieve(cardId);
-    if (paymentMethod.customer !== req.user.customerId) {
-      return res.status(403).json({ message: 'This card does not belong to your account' });
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Update the payment method
-    const updatedPaymentMethod = await stripeClient.paymentMethods.update(cardId, {
-      card: {
-        exp_month: expMonth,
-        exp_year: expYear,
-      },
-    });
+    const address = user.addresses.id(addressId);
+    if (!address) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    setDefaultAddress(user, address._id);
+    await user.save();
+
+    await syncDefaultAddressToStripe(user);
 
     res.status(200).json({
-      message: 'Card updated successfully',
-      card: {
-        id: updatedPaymentMethod.id,
-        brand: updatedPaymentMethod.card.brand,
-        last4: updatedPaymentMethod.card.last4,
-        expMonth: updatedPaymentMethod.card.exp_month,
-        expYear: updatedPaymentMethod.card.exp_year,
-        cvc: updatedPaymentMethod.card.cvc,
-      }
+      message: 'Default address updated successfully',
+      address: formatAddress(address)
     });
   } catch (error) {
-    console.error('Error updating card:', error);
-    res.status(500).json({ message: 'Error updating card', error: error.message });
+    console.error('Error setting default address:', error);
+    res.status(500).json({ message: 'Error setting default address', error: error.message });
   }
 });
 
-// Delete card API with Stripe
-app.delete('/cards/:cardId', authenticateToken, async (req, res) => {
-  const { cardId } = req.params;
+// Delete address API
+app.delete('/addresses/:addressId', authenticateToken, async (req, res) => {
+  const { addressId } = req.params;
 
   try {
-    // Verify this payment method belongs to the customer
-    const paymentMethod = await stripeClient.paymentMethods.retrieve(cardId);
-    if (paymentMethod.customer !== req.user.customerId) {
-      return res.status(403).json({ message: 'This card does not belong to your account' });
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Get user to check if this is the default payment method
-    const user = await User.findById(req.user.userId);
+    const address = user.addresses.id(addressId);
+    if (!address) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
 
-    // If deleting the default payment method, set another one as default if available
-    if (user.defaultPaymentMethodId === cardId) {
-      const paymentMethods = await stripeClient.paymentMethods.list({
-        customer: req.user.customerId,
-        type: 'card',
-      });
+    const wasDefault = address.isDefault;
+    address.deleteOne();
 
-      // Filter out the one being deleted
-      const otherCards = paymentMethods.data.filter(pm => pm.id !== cardId);
+    // If deleting the default address, promote the first remaining one
+    if (wasDefault && user.addresses.length > 0) {
+      setDefaultAddress(user, user.addresses[0]._id);
+    }
 
-      if (otherCards.length > 0) {
-        // Set the first available card as the new default
-        await stripeClient.customers.update(req.user.customerId, {
-          invoice_settings: {
-            default_payment_method: otherCards[0].id,
-          },
-        });
+    await user.save();
 
-        // Update user record
-        user.defaultPaymentMethodId = otherCards[0].id;
-        await user.save();
-      } else {
-        // No other cards, remove default
-        user.defaultPaymentMethodId = null;
-        await user.save();
-      }
+    if (wasDefault) {
+      await syncDefaultAddressToStripe(user);
     }
 
-    // Detach the payment method from the customer
-    await stripeClient.paymentMethods.detach(cardId);
-
-    res.status(200).json({ message: 'Card deleted successfully' });
+    res.status(200).json({ message: 'Address deleted successfully' });
   } catch (error) {
-    console.error('Error deleting card:', error);
-    res.status(500).json({ message: 'Error deleting card', error: error.message });
+    console.error('Error deleting address:', error);
+    res.status(500).json({ message: 'Error deleting address', error: error.message });
   }
 });
 
-// Process payment directly with saved card with Stripe
-app.post('/process-payment-with-saved-card', authenticateToken, async (req, res) => {
-  const { amount, currency, paymentMethodId } = req.body;
+function isValidCartItem(item) {
+  return !!item && !!item.price && !!item.quantity && item.quantity > 0;
+}
 
-  if (!amount || !currency) {
-    return res.status(400).json({ message: 'Amount and currency are required' });
+// Order line items from a cart; prices come in as decimals and are stored in cents
+function buildOrderLineItems(items) {
+  let totalAmount = 0;
+  const lineItems = [];
+  
+  items.forEach(item => {
+    if (!isValidCartItem(item)) {
+      throw new Error('Invalid item data: each item must have a price and positive quantity');
+    }
+    
+    // Convert price to cents (Stripe uses smallest currency unit)
+    const itemPrice = Math.round(parseFloat(item.price) * 100);
+    const itemTotal = itemPrice * item.quantity;
+    totalAmount += itemTotal;
+    
+    lineItems.push({
+      name: item.name || 'Product',
+      description: item.description || '',
+      quantity: item.quantity,
+      price: itemPrice,
+      subtotal: itemTotal,
+      productId: item.productId || '',
+      metadata: item.metadata || {}
+    });
+  });
+
+  return { lineItems, totalAmount };
+}
+
+// Coupons and promotion codes live in Stripe. Subscriptions redeem them in Stripe; /checkout
+// payments are plain PaymentIntents, which Stripe cannot discount, so the discount is taken
+// off the amount here and those redemptions are counted from the orders that used them.
+const COUPON_DURATIONS = ['once', 'repeating', 'forever'];
+
+function formatCoupon(coupon) {
+  return {
+    id: coupon.id,
+    name: coupon.name,
+    percentOff: coupon.percent_off,
+    amountOff: coupon.amount_off,
+    currency: coupon.currency,
+    duration: coupon.duration,
+    durationInMonths: coupon.duration_in_months,
+    maxRedemptions: coupon.max_redemptions,
+    timesRedeemed: coupon.times_redeemed,
+    redeemBy: coupon.redeem_by ? new Date(coupon.redeem_by * 1000) : null,
+    appliesToProducts: coupon.applies_to?.products || null,
+    valid: coupon.valid,
+    createdAt: new Date(coupon.created * 1000)
+  };
+}
+
+function formatPromotionCode(promotionCode) {
+  const restrictions = promotionCode.restrictions || {};
+  return {
+    id: promotionCode.id,
+    code: promotionCode.code,
+    active: promotionCode.active,
+    coupon: formatCoupon(promotionCode.coupon),
+    maxRedemptions: promotionCode.max_redemptions,
+    timesRedeemed: promotionCode.times_redeemed,
+    expiresAt: promotionCode.expires_at ? new Date(promotionCode.expires_at * 1000) : null,
+    firstTimeOnly: !!restrictions.first_time_transaction,
+    minimumAmount: restrictions.minimum_amount || null,
+    minimumAmountCurrency: restrictions.minimum_amount_currency || null,
+    createdAt: new Date(promotionCode.created * 1000)
+  };
+}
+
+// Discount a coupon gives on `amount` (smallest currency unit)
+function couponDiscountAmount(coupon, amount, currency) {
+  if (coupon.percent_off) {
+    return Math.round(amount * coupon.percent_off / 100);
+  }
+  if (coupon.amount_off && coupon.currency === String(currency).toLowerCase()) {
+    return Math.min(coupon.amount_off, amount);
+  }
+  return 0;
+}
+
+// How many /checkout orders used each of `ids` (promotionCodeId or couponId), as a Map
+async function countCheckoutRedemptions(field, ids) {
+  const results = await User.aggregate([
+    { $match: { [`orders.discount.${field}`]: { $in: ids } } },
+    { $unwind: '$orders' },
+    {
+      $match: {
+        [`orders.discount.${field}`]: { $in: ids },
+        'orders.status': { $nin: ['failed', 'canceled', 'released'] },
+        // Hosted checkout orders were redeemed by Stripe and are in times_redeemed already
+        'orders.checkoutSessionId': null
+      }
+    },
+    { $group: { _id: `$orders.discount.${field}`, count: { $sum: 1 } } }
+  ]);
+  return new Map(results.map(result => [result._id, result.count]));
+}
+
+// How long a checkout may hold a limited coupon while its order is placed
+const PROMOTION_CODE_LOCK_SECONDS = 60;
+
+// Whether a promotion code or its coupon can only be redeemed a limited number of times
+function hasRedemptionLimit(promotionCode) {
+  return !!(promotionCode.max_redemptions || promotionCode.coupon.max_redemptions);
+}
+
+// Look up a promotion code and check that `user` can use it on a purchase of `amount`
+// in `currency`. Subscriptions pass the plan's `productId`; `oneOff` purchases are
+// discounted here rather than in Stripe. Returns { promotionCode } or { error }.
+async function resolvePromotionCode(code, user, { amount, currency, productId, oneOff = false } = {}) {
+  const { data } = await stripeClient.promotionCodes.list({ code: String(code).trim(), limit: 1 });
+  const promotionCode = data[0];
+  if (!promotionCode || !promotionCode.active ||
+      (promotionCode.customer && promotionCode.customer !== user.customerId)) {
+    return { error: 'Promotion code not found' };
+  }
+
+  const coupon = promotionCode.coupon;
+  const restrictions = promotionCode.restrictions || {};
+  if (!coupon.valid || (promotionCode.expires_at && promotionCode.expires_at * 1000 <= Date.now())) {
+    return { error: 'This promotion code has expired' };
+  }
+
+  if (restrictions.first_time_transaction &&
+      user.paymentHistory.some(payment => payment.type === 'payment' &&
+        (payment.status === 'succeeded' || REFUNDED_STATUSES.includes(payment.status)))) {
+    return { error: 'This promotion code is only valid on your first purchase' };
+  }
+
+  if (restrictions.minimum_amount && amount !== undefined &&
+      (restrictions.minimum_amount_currency !== String(currency).toLowerCase() || amount < restrictions.minimum_amount)) {
+    return {
+      error: `This promotion code requires a minimum purchase of ${(restrictions.minimum_amount / 100).toFixed(2)} ${restrictions.minimum_amount_currency.toUpperCase()}`
+    };
+  }
+
+  const products = coupon.applies_to?.products;
+  if (products && products.length > 0 && (!productId || !products.includes(productId))) {
+    return { error: 'This promotion code does not apply to this purchase' };
+  }
+
+  if (oneOff) {
+    if (coupon.amount_off && coupon.currency !== String(currency).toLowerCase()) {
+      return { error: `This promotion code only applies to ${coupon.currency.toUpperCase()} purchases` };
+    }
+
+    // Stripe enforces the redemption limits only for redemptions made in Stripe. The count
+    // is only exact while the caller holds the coupon's lock (see /checkout).
+    const [codeRedemptions, couponRedemptions] = await Promise.all([
+      countCheckoutRedemptions('promotionCodeId', [promotionCode.id]),
+      countCheckoutRedemptions('couponId', [coupon.id])
+    ]);
+    if ((promotionCode.max_redemptions &&
+         promotionCode.times_redeemed + (codeRedemptions.get(promotionCode.id) || 0) >= promotionCode.max_redemptions) ||
+        (coupon.max_redemptions &&
+         coupon.times_redeemed + (couponRedemptions.get(coupon.id) || 0) >= coupon.max_redemptions)) {
+      return { error: 'This promotion code has been fully redeemed' };
+    }
+  }
+
+  return { promotionCode };
+}
+
+// The discount line recorded on an order
+function buildOrderDiscount(promotionCode, amount, currency) {
+  const coupon = promotionCode.coupon;
+  return {
+    code: promotionCode.code,
+    promotionCodeId: promotionCode.id,
+    couponId: coupon.id,
+    percentOff: coupon.percent_off,
+    amountOff: coupon.amount_off,
+    amount: couponDiscountAmount(coupon, amount, currency)
+  };
+}
+
+// Validate Promotion Code API, for a cart (items, as for /checkout) or a subscription plan
+app.post('/promo-codes/validate', authenticateToken, rateLimit('promo-code-validate'), async (req, res) => {
+  const { code, items, planId, currency = 'usd' } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'code is required' });
+  }
+
+  if (items !== undefined && (!Array.isArray(items) || !items.every(isValidCartItem))) {
+    return res.status(400).json({ message: 'Cart items must each have a price and positive quantity' });
   }
 
   try {
-    // Get the user to find their default payment method if none provided
     const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Use provided payment method ID or fall back to user's default
-    let selectedPaymentMethodId = paymentMethodId || user.defaultPaymentMethodId;
-    
-    // If still no payment method, return an error
-    if (!selectedPaymentMethodId) {
-      return res.status(400).json({ 
-        message: 'No payment method provided and no default payment method set',
-        canAddCard: true
-      });
+    let purchase = { currency, oneOff: true };
+    if (planId) {
+      const plan = await findActivePlan(planId);
+      if (!plan) {
+        return res.status(404).json({ message: 'Subscription plan not found' });
+      }
+      purchase = { amount: Math.round(plan.amount * 100), currency: plan.currency, productId: plan.productId };
+    } else if (items) {
+      purchase.amount = buildOrderLineItems(items).totalAmount;
     }
 
-    // Verify this payment method belongs to the customer
-    const paymentMethod = await stripeClient.paymentMethods.retrieve(selectedPaymentMethodId);
-    if (paymentMethod.customer !== req.user.customerId) {
-      return res.status(403).json({ message: 'This payment method does not belong to your account' });
+    const { promotionCode, error } = await resolvePromotionCode(code, user, purchase);
+    if (error) {
+      return res.status(200).json({ valid: false, message: error });
     }
 
-    const paymentIntent = await stripeClient.paymentIntents.create({
-      amount,
-      currency,
-      customer: req.user.customerId,
-      payment_method: selectedPaymentMethodId,
-      confirm: true,
-      // Disable redirect-based payment methods
-      automatic_payment_methods: {
-        enabled: false
-      },
-      // Only allow card payments
-      payment_method_types: ['card']
-    });
-
-    // Record payment history in the user's document
-    await User.findByIdAndUpdate(
-      req.user.userId,
-      {
-        $push: {
-          paymentHistory: {
-            paymentIntentId: paymentIntent.id,
-            amount: paymentIntent.amount,
-            currency: paymentIntent.currency,
-            status: paymentIntent.status,
-            paymentMethodId: selectedPaymentMethodId,
-            paymentMethodLast4: paymentMethod.card.last4
-          }
-        }
-      }
-    );
+    const coupon = promotionCode.coupon;
+    const discountAmount = purchase.amount !== undefined
+      ? couponDiscountAmount(coupon, purchase.amount, purchase.currency)
+      : null;
 
     res.status(200).json({
-      message: 'Payment successful',
-      paymentIntent: {
-        id: paymentIntent.id,
-        status: paymentIntent.status,
-        amount: paymentIntent.amount,
-        currency: paymentIntent.currency
+      valid: true,
+      code: promotionCode.code,
+      discount: {
+        percentOff: coupon.percent_off,
+        amountOff: coupon.amount_off,
+        currency: coupon.currency,
+        duration: coupon.duration,
+        durationInMonths: coupon.duration_in_months
       },
-      paymentMethod: {
-        id: paymentMethod.id,
-        brand: paymentMethod.card.brand,
-        last4: paymentMethod.card.last4,
-        isDefault: selectedPaymentMethodId === user.defaultPaymentMethodId
-      }
+      discountAmount,
+      amountAfterDiscount: discountAmount !== null ? purchase.amount - discountAmount : null
     });
   } catch (error) {
-    console.error('Stripe Error:', error);
-    res.status(500).json({ message: 'Error processing payment', error: error.message });
+    console.error('Error validating promotion code:', error);
+    res.status(500).json({ message: 'Error validating promotion code', error: error.message });
   }
 });
 
-// Verify payment API with Stripe
-app.get('/verify-payment/:paymentIntentId', authenticateToken, async (req, res) => {
-  const { paymentIntentId } = req.params;
+// Store credit is kept in the Stripe customer balance. Stripe applies it to subscription
+// invoices by itself; /checkout takes it off the amount before charging. Stripe counts
+// credit as a negative balance; this API shows credit as positive amounts.
+const BALANCE_ADJUSTMENT_TYPES = ['credit', 'debit'];
+
+function formatBalanceTransaction(transaction) {
+  return {
+    id: transaction.id,
+    type: transaction.amount < 0 ? 'credit' : 'debit',
+    amount: Math.abs(transaction.amount),
+    currency: transaction.currency,
+    description: transaction.description,
+    reason: transaction.metadata?.reason || null,
+    orderId: transaction.metadata?.orderId || null,
+    invoiceId: transaction.invoice || null,
+    balanceAfter: -transaction.ending_balance,
+    createdAt: new Date(transaction.created * 1000)
+  };
+}
 
-  try {
-    const paymentIntent = await stripeClient.paymentIntents.retrieve(paymentIntentId);
+// Available store credit (negative when the customer owes) and its transaction history
+async function getCustomerBalance(user, { limit = 20, startingAfter } = {}) {
+  const params = { limit };
+  if (startingAfter) {
+    params.starting_after = startingAfter;
+  }
 
-    // Verify this payment belongs to the customer
-    if (paymentIntent.customer !== req.user.customerId) {
-      return res.status(403).json({ message: 'This payment does not belong to your account' });
+  const [customer, transactions] = await Promise.all([
+    stripeClient.customers.retrieve(user.customerId),
+    stripeClient.customers.listBalanceTransactions(user.customerId, params)
+  ]);
+
+  return {
+    balance: -(customer.balance || 0),
+    currency: customer.currency || null,
+    transactions: transactions.data.map(formatBalanceTransaction),
+    hasMore: transactions.has_more
+  };
+}
+
+// How long a checkout may hold the customer's store credit while spending it
+const BALANCE_LOCK_SECONDS = 60;
+
+// Add (positive amount) or take (negative amount) store credit and record it in paymentHistory
+async function adjustCustomerBalance(user, amount, currency, { description, metadata = {} }, requestOptions = {}) {
+  const transaction = await stripeClient.customers.createBalanceTransaction(user.customerId, {
+    amount: -amount,
+    currency: currency.toLowerCase(),
+    description,
+    metadata
+  }, requestOptions);
+
+  await User.updateOne(
+    { _id: user._id, 'paymentHistory.balanceTransactionId': { $ne: transaction.id } },
+    {
+      $push: {
+        paymentHistory: {
+          type: amount > 0 ? 'balance_credit' : 'balance_debit',
+          balanceTransactionId: transaction.id,
+          amount: Math.abs(amount),
+          currency: transaction.currency,
+          status: 'succeeded',
+          description,
+          orderId: metadata.orderId
+        }
+      }
     }
+  );
 
-    res.status(200).json({
-      verified: paymentIntent.status === 'succeeded',
-      status: paymentIntent.status,
-      amount: paymentIntent.amount,
-      currency: paymentIntent.currency,
-      paymentMethod: paymentIntent.payment_method,
-      created: new Date(paymentIntent.created * 1000).toISOString(),
-    });
-  } catch (error) {
-    console.error('Error verifying payment:', error);
-    res.status(500).json({ message: 'Error verifying payment', error: error.message });
-  }
-});
+  return transaction;
+}
+
+// Give back the store credit used for an order. Returns the balance transaction,
+// or null when the order used no credit or it was already returned.
+async function returnOrderBalance(user, order, reason) {
+  if (!order.balanceApplied || order.balanceRestoredAt) return null;
+
+  // Claimed first, so a repeated webhook or request cannot return the credit twice
+  const result = await User.updateOne(
+    { _id: user._id, orders: { $elemMatch: { orderId: order.orderId, balanceRestoredAt: null } } },
+    { $set: { 'orders.$.balanceRestoredAt': new Date() } }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  const transaction = await adjustCustomerBalance(user, order.balanceApplied, order.currency, {
+    description: `Store credit returned for order ${order.orderId}`,
+    metadata: { orderId: order.orderId, reason }
+  }, { idempotencyKey: `balance-restore-${order.orderId}` });
+
+  console.log(`Returned ${order.balanceApplied} ${order.currency} store credit for order ${order.orderId} to ${user.email}`);
+  return transaction;
+}
+
+// Give back the store credit of an order whose payment was canceled or released
+async function restoreOrderBalance(paymentIntent) {
+  const user = await User.findOne({ customerId: paymentIntent.customer });
+  const order = user?.orders.find(o => o.paymentIntentId === paymentIntent.id);
+  if (!order) return;
+
+  await returnOrderBalance(user, order, `payment_${paymentIntent.status}`);
+}
 
-// Get payment history API with caching
-app.get('/payment-history', authenticateToken,  async (req, res) => {
+// Store Credit API
+app.get('/me/balance', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const paymentHistory = user.paymentHistory || [];
-    
-    // Sort by most recent first
-    paymentHistory.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-    res.status(200).json({
-      paymentHistory: paymentHistory.map(payment => ({
-        id: payment._id,
-        paymentIntentId: payment.paymentIntentId,
-        amount: payment.amount,
-        currency: payment.currency,
-        status: payment.status,
-        paymentMethodLast4: payment.paymentMethodLast4,
-        date: payment.createdAt
-      }))
+    const balance = await getCustomerBalance(user, {
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      startingAfter: req.query.startingAfter
     });
+
+    res.status(200).json(balance);
   } catch (error) {
-    console.error('Error fetching payment history:', error);
-    res.status(500).json({ message: 'Error fetching payment history', error: error.message });
+    console.error('Error fetching balance:', error);
+    res.status(500).json({ message: 'Error fetching balance', error: error.message });
   }
 });
 
-// Get specific payment details API
-app.get('/payment-history/:paymentId', authenticateToken, async (req, res) => {
-  const { paymentId } = req.params;
-  
+// Get a customer's store credit and its history (admin and support)
+app.get('/admin/users/:userId/balance', authenticateToken, requireRole('billing_admin', 'support'), validateUserIdParam, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
+    const user = await User.findById(req.params.userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Find the specific payment in the user's payment history
-    const payment = user.paymentHistory.id(paymentId);
-    if (!payment) {
-      return res.status(404).json({ message: 'Payment not found' });
-    }
-
-    // Get additional details from Stripe if needed
-    const paymentIntent = await stripeClient.paymentIntents.retrieve(payment.paymentIntentId);
-
-    res.status(200).json({
-      payment: {
-        id: payment._id,
-        paymentIntentId: payment.paymentIntentId,
-        amount: payment.amount,
-        currency: payment.currency,
-        status: payment.status,
-        paymentMethodId: payment.paymentMethodId,
-        paymentMethodLast4: payment.paymentMethodLast4,
-        date: payment.createdAt,
-        stripeDetails: {
-          receiptUrl: paymentIntent.charges?.data[0]?.receipt_url || null,
-          paymentMethod: paymentIntent.payment_method_types,
-          description: paymentIntent.description || null
-        }
-      }
+    const balance = await getCustomerBalance(user, {
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      startingAfter: req.query.startingAfter
     });
+
+    res.status(200).json({ userId: user._id, email: user.email, ...balance });
   } catch (error) {
-    console.error('Error fetching payment details:', error);
-    res.status(500).json({ message: 'Error fetching payment details', error: error.message });
+    console.error('Error fetching customer balance:', error);
+    res.status(500).json({ message: 'Error fetching customer balance', error: error.message });
   }
 });
 
-// Helper function to handle successful payments
-async function handleSuccessfulPayment(paymentIntent) {
-  console.log(`PaymentIntent ${paymentIntent.id} was successful!`);
-  
+// Credit or debit a customer's store credit, e.g. a goodwill credit (admin only)
+app.post('/admin/users/:userId/balance', authenticateToken, requireRole('billing_admin'), validateUserIdParam, idempotent, async (req, res) => {
+  const { type, amount, currency, reason } = req.body;
+
+  if (!BALANCE_ADJUSTMENT_TYPES.includes(type)) {
+    return res.status(400).json({ message: `type must be one of: ${BALANCE_ADJUSTMENT_TYPES.join(', ')}` });
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ message: 'amount must be a positive integer in the smallest currency unit' });
+  }
+  if (!currency || !reason) {
+    return res.status(400).json({ message: 'currency and reason are required' });
+  }
+
   try {
-    // Find the user by customer ID
-    const user = await User.findOne({ customerId: paymentIntent.customer });
-    
+    const user = await User.findById(req.params.userId);
     if (!user) {
-      console.error(`No user found for customer ID: ${paymentIntent.customer}`);
-      return;
-    }
-    
-    // Check if this payment is already recorded
-    const existingPayment = await User.findOne({
-      _id: user._id,
-      'paymentHistory.paymentIntentId': paymentIntent.id
-    });
-    
-    if (existingPayment) {
-      console.log(`Payment ${paymentIntent.id} already recorded for user ${user.email}`);
-      return;
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Get payment method details to record last4
-    let paymentMethodLast4 = 'unknown';
-    if (paymentIntent.payment_method) {
-      try {
-        const paymentMethod = await stripeClient.paymentMethods.retrieve(paymentIntent.payment_method);
-        paymentMethodLast4 = paymentMethod.card?.last4 || 'unknown';
-      } catch (err) {
-        console.error(`Error retrieving payment method: ${err.message}`);
-      }
+    // A Stripe customer has a balance in one currency only
+    const customer = await stripeClient.customers.retrieve(user.customerId);
+    if (customer.currency && customer.currency !== currency.toLowerCase()) {
+      return res.status(400).json({ message: `This customer's balance is in ${customer.currency.toUpperCase()}` });
     }
-    
-    // Record the payment
-    await User.findByIdAndUpdate(
-      user._id,
+
+    const transaction = await adjustCustomerBalance(
+      user,
+      type === 'credit' ? amount : -amount,
+      currency,
       {
-        $push: {
-          paymentHistory: {
-            paymentIntentId: paymentIntent.id,
-            amount: paymentIntent.amount,
-            currency: paymentIntent.currency,
-            status: paymentIntent.status,
-            paymentMethodId: paymentIntent.payment_method,
-            paymentMethodLast4: paymentMethodLast4
-          }
-        }
-      }
+        description: reason,
+        metadata: { reason, adjustedBy: req.user.userId }
+      },
+      stripeIdempotencyOptions(req, 'balance-adjustment')
     );
-    
-    console.log(`Payment ${paymentIntent.id} recorded for user ${user.email}`);
-  } catch (err) {
-    console.error(`Error recording successful payment: ${err.message}`);
-    throw err;
+
+    await recordAuditLog(req, `customer.balance.${type === 'credit' ? 'credited' : 'debited'}`, user._id, {
+      balanceTransactionId: transaction.id,
+      amount,
+      currency: transaction.currency,
+      reason
+    });
+
+    res.status(201).json({
+      message: type === 'credit' ? 'Balance credited successfully' : 'Balance debited successfully',
+      transaction: formatBalanceTransaction(transaction),
+      balance: -transaction.ending_balance
+    });
+  } catch (error) {
+    console.error('Error adjusting customer balance:', error);
+    res.status(500).json({ message: 'Error adjusting customer balance', error: error.message });
   }
-}
+});
+
+// Return the store credit used for an order (admin only). Orders paid entirely with
+// credit have no payment to refund, so this refunds them; for the rest of an order,
+// refund its payment.
+app.post('/admin/users/:userId/orders/:orderId/balance-refund', authenticateToken, requireRole('billing_admin'), validateUserIdParam, idempotent, async (req, res) => {
+  const { note } = req.body;
 
-// Helper function to handle failed payments
-async function handleFailedPayment(paymentIntent) {
-  console.log(`Payment failed for PaymentIntent ${paymentIntent.id}`);
-  const errorMessage = paymentIntent.last_payment_error 
-    ? paymentIntent.last_payment_error.message 
-    : 'Unknown error';
-  
   try {
-    // Find the user by customer ID
-    const user = await User.findOne({ customerId: paymentIntent.customer });
-    
-    if (!user) {
-      console.error(`No user found for customer ID: ${paymentIntent.customer}`);
-      return;
+    const user = await User.findById(req.params.userId);
+    const order = user?.orders.find(o => o.orderId === req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
     }
-    
-    // Record the failed payment
-    await User.findByIdAndUpdate(
-      user._id,
-      {
-        $push: {
-          paymentHistory: {
-            paymentIntentId: paymentIntent.id,
-            amount: paymentIntent.amount,
-            currency: paymentIntent.currency,
-            status: 'failed',
-            errorMessage: errorMessage,
-            paymentMethodId: paymentIntent.payment_method
-          }
-        }
-      }
-    );
-    
-    console.log(`Failed payment ${paymentIntent.id} recorded for user ${user.email}`);
-  } catch (err) {
-    console.error(`Error recording failed payment: ${err.message}`);
-    throw err;
-  }
-}
 
-// Helper function to handle payments requiring additional action
-async function handlePaymentRequiresAction(paymentIntent) {
-  console.log(`PaymentIntent ${paymentIntent.id} requires action: ${paymentIntent.next_action?.type}`);
-  // You might want to notify the user that they need to complete the payment
-  // This could be through push notifications, emails, or other channels
-}
+    if (!order.balanceApplied) {
+      return res.status(400).json({ message: 'This order was not paid with store credit' });
+    }
+    if (order.balanceRestoredAt) {
+      return res.status(400).json({ message: 'The store credit of this order has already been returned' });
+    }
+    if (order.paymentIntentId ? !['completed', 'captured', 'refunded', 'partially_refunded'].includes(order.status) : order.status !== 'completed') {
+      return res.status(400).json({ message: `Order cannot be refunded in status ${order.status}` });
+    }
 
-// Helper function to handle canceled payments
-async function handleCanceledPayment(paymentIntent) {
-  console.log(`PaymentIntent ${paymentIntent.id} was canceled`);
-  
-  try {
-    // Find the user by customer ID
-    const user = await User.findOne({ customerId: paymentIntent.customer });
-    
-    if (!user) {
-      console.error(`No user found for customer ID: ${paymentIntent.customer}`);
-      return;
+    const transaction = await returnOrderBalance(user, order, 'refunded');
+    if (!transaction) {
+      return res.status(400).json({ message: 'The store credit of this order has already been returned' });
     }
-    
-    // Record the canceled payment
-    await User.findByIdAndUpdate(
-      user._id,
-      {
-        $push: {
-          paymentHistory: {
-            paymentIntentId: paymentIntent.id,
-            amount: paymentIntent.amount,
-            currency: paymentIntent.currency,
-            status: 'canceled',
-            paymentMethodId: paymentIntent.payment_method
+
+    if (!order.paymentIntentId) {
+      await User.updateOne(
+        { _id: user._id, 'orders.orderId': order.orderId },
+        {
+          $set: {
+            'orders.$.status': 'refunded',
+            'orders.$.paymentStatus': 'refunded',
+            'orders.$.updatedAt': new Date()
           }
         }
-      }
-    );
-    
-    console.log(`Canceled payment ${paymentIntent.id} recorded for user ${user.email}`);
-  } catch (err) {
-    console.error(`Error recording canceled payment: ${err.message}`);
-    throw err;
-  }
-}
+      );
+    }
 
-// Test endpoint to confirm payments (for testing only - not for production use)
-app.post('/confirm-test-payment', authenticateToken, async (req, res) => {
-  const { paymentIntentId } = req.body;
-  
-  if (!paymentIntentId) {
-    return res.status(400).json({ message: 'Payment Intent ID is required' });
-  }
-  
-  try {
-    // Confirm the payment intent with a test card
-    const paymentIntent = await stripeClient.paymentIntents.confirm(
-      paymentIntentId,
-      {
-        payment_method: 'pm_card_visa' // This is a Stripe test card
-      }
-    );
-    
-    res.status(200).json({
-      message: 'Payment confirmed for testing',
-      paymentIntent: {
-        id: paymentIntent.id,
-        status: paymentIntent.status,
-        amount: paymentIntent.amount,
-        currency: paymentIntent.currency
-      }
+    await recordAuditLog(req, 'order.balance_refunded', user._id, {
+      orderId: order.orderId,
+      balanceTransactionId: transaction.id,
+      amount: order.balanceApplied,
+      currency: transaction.currency,
+      note: note ? String(note).slice(0, 500) : null
+    });
+
+    res.status(201).json({
+      message: 'Store credit returned successfully',
+      orderId: order.orderId,
+      transaction: formatBalanceTransaction(transaction),
+      balance: -transaction.ending_balance
     });
   } catch (error) {
-    console.error('Error confirming test payment:', error);
-    res.status(500).json({ message: 'Error confirming payment', error: error.message });
+    console.error('Error refunding order store credit:', error);
+    res.status(500).json({ message: 'Error refunding order store credit', error: error.message });
   }
 });
 
 // Cart Order Checkout API
-app.post('/checkout', authenticateToken, async (req, res) => {
+app.post('/checkout', authenticateTokenOrApiKey('payments:write'), requireVerifiedEmail, blockPendingDeletion, idempotent, async (req, res) => {
+  let balanceLock = null;
+  let promotionLock = null;
   const { 
     items, 
     paymentMethodId, 
     shippingAddress,
     billingAddress,
-    currency = 'usd'
+    shippingAddressId, // Optional - saved address instead of shippingAddress
+    billingAddressId, // Optional - saved address instead of billingAddress
+    currency = 'usd',
+    captureMethod = 'automatic', // 'manual' only authorizes the card; capture at shipment
+    paymentMethodType, // Optional - a redirect method (ideal, bancontact) instead of a saved payment method
+    promoCode, // Optional promotion code
+    applyBalance = false // Optional - use the customer's store credit before charging
   } = req.body;
   
   // Validate request body
@@ -1148,6 +5659,17 @@ app.post('/checkout', authenticateToken, async (req, res) => {
     return res.status(400).json({ message: 'Cart items are required' });
   }
 
+  if (!CAPTURE_METHODS.includes(captureMethod)) {
+    return res.status(400).json({ message: `captureMethod must be one of: ${CAPTURE_METHODS.join(', ')}` });
+  }
+
+  const redirectTypes = Object.keys(NON_CARD_PAYMENT_METHODS).filter(type => NON_CARD_PAYMENT_METHODS[type].redirect);
+  if (paymentMethodType && !redirectTypes.includes(paymentMethodType)) {
+    return res.status(400).json({
+      message: `paymentMethodType must be one of: ${redirectTypes.join(', ')}. Cards and bank accounts are paid with paymentMethodId.`
+    });
+  }
+
   try {
     // Get the user to find their default payment method if none provided
     const user = await User.findById(req.user.userId);
@@ -1155,54 +5677,120 @@ app.post('/checkout', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Calculate the total amount from cart items
-    let totalAmount = 0;
-    const lineItems = [];
-    
-    items.forEach(item => {
-      if (!item.price || !item.quantity || item.quantity <= 0) {
-        throw new Error('Invalid item data: each item must have a price and positive quantity');
+    // Resolve addresses: a saved address by ID, the address sent in the request,
+    // or the default address from the address book
+    let orderShippingAddress = shippingAddress || null;
+    if (shippingAddressId) {
+      const savedAddress = user.addresses.id(shippingAddressId);
+      if (!savedAddress) {
+        return res.status(400).json({ message: 'Shipping address not found' });
       }
-      
-      // Convert price to cents (Stripe uses smallest currency unit)
-      const itemPrice = Math.round(parseFloat(item.price) * 100);
-      const itemTotal = itemPrice * item.quantity;
-      totalAmount += itemTotal;
-      
-      lineItems.push({
-        name: item.name || 'Product',
-        description: item.description || '',
-        quantity: item.quantity,
-        price: itemPrice,
-        subtotal: itemTotal,
-        productId: item.productId || '',
-        metadata: item.metadata || {}
-      });
-    });
+      orderShippingAddress = toOrderAddress(savedAddress, user);
+    } else if (!orderShippingAddress) {
+      const defaultAddress = user.addresses.find(addr => addr.isDefault);
+      if (defaultAddress) {
+        orderShippingAddress = toOrderAddress(defaultAddress, user);
+      }
+    }
+
+    let orderBillingAddress = billingAddress || orderShippingAddress;
+    if (billingAddressId) {
+      const savedAddress = user.addresses.id(billingAddressId);
+      if (!savedAddress) {
+        return res.status(400).json({ message: 'Billing address not found' });
+      }
+      orderBillingAddress = toOrderAddress(savedAddress, user);
+    }
+
+    // Calculate the total amount from cart items
+    const { lineItems, totalAmount: subtotalAmount } = buildOrderLineItems(items);
     
-    if (totalAmount <= 0) {
+    if (subtotalAmount <= 0) {
       return res.status(400).json({ message: 'Total amount must be greater than 0' });
     }
 
-    // Use provided payment method ID or fall back to user's default
-    let selectedPaymentMethodId = paymentMethodId || user.defaultPaymentMethodId;
-    
-    // If still no payment method, return an error
-    if (!selectedPaymentMethodId) {
-      return res.status(400).json({ 
-        message: 'No payment method provided and no default payment method set',
-        canAddCard: true
-      });
+    // A promotion code is taken off the cart total
+    let discount = null;
+    if (promoCode) {
+      const purchase = { amount: subtotalAmount, currency, oneOff: true };
+      let { promotionCode, error } = await resolvePromotionCode(promoCode, user, purchase);
+
+      // A limited coupon is counted again under a lock that is held until the order is
+      // saved, so two checkouts cannot both take its last redemption
+      if (!error && hasRedemptionLimit(promotionCode)) {
+        const key = `promo:lock:${promotionCode.coupon.id}`;
+        const token = await acquireLock(key, PROMOTION_CODE_LOCK_SECONDS);
+        if (!token) {
+          return res.status(409).json({ message: 'This promotion code is being redeemed by another checkout. Please try again.' });
+        }
+        promotionLock = { key, token };
+        ({ promotionCode, error } = await resolvePromotionCode(promoCode, user, purchase));
+      }
+      if (error) {
+        return res.status(400).json({ message: error, code: 'invalid_promo_code' });
+      }
+      discount = buildOrderDiscount(promotionCode, subtotalAmount, currency);
+    }
+
+    // Store credit is used next; only the rest is charged. When nothing is left
+    // to charge, the order is placed without a payment intent. The credit is held
+    // locked until it is spent, so two checkouts cannot both use it.
+    const discountedAmount = subtotalAmount - (discount ? discount.amount : 0);
+    let balanceApplied = 0;
+    if (applyBalance === true && discountedAmount > 0) {
+      balanceLock = await acquireLock(`balance:lock:${user._id}`, BALANCE_LOCK_SECONDS);
+      if (!balanceLock) {
+        return res.status(409).json({ message: 'Your store credit is being used by another checkout. Please try again.' });
+      }
+
+      const customer = await stripeClient.customers.retrieve(user.customerId);
+      if (customer.balance < 0 && customer.currency === currency.toLowerCase()) {
+        balanceApplied = Math.min(-customer.balance, discountedAmount);
+      }
+    }
+    const totalAmount = discountedAmount - balanceApplied;
+
+    // Redirect methods are paid at the customer's bank; everything else is charged
+    // to a saved card or bank account
+    let selectedPaymentMethodId = null;
+    let paymentMethod = null;
+    if (totalAmount > 0 && !paymentMethodType) {
+      // Use provided payment method ID or fall back to user's default
+      selectedPaymentMethodId = paymentMethodId || user.defaultPaymentMethodId;
+      
+      // If still no payment method, return an error
+      if (!selectedPaymentMethodId) {
+        return res.status(400).json({ 
+          message: 'No payment method provided and no default payment method set',
+          canAddCard: true
+        });
+      }
+
+      // Verify this payment method belongs to the customer
+      paymentMethod = await stripeClient.paymentMethods.retrieve(selectedPaymentMethodId);
+      if (paymentMethod.customer !== req.user.customerId) {
+        return res.status(403).json({ message: 'This payment method does not belong to your account' });
+      }
     }
 
-    // Verify this payment method belongs to the customer
-    const paymentMethod = await stripeClient.paymentMethods.retrieve(selectedPaymentMethodId);
-    if (paymentMethod.customer !== req.user.customerId) {
-      return res.status(403).json({ message: 'This payment method does not belong to your account' });
+    // The method has to be offered for the currency and the billing country, and
+    // only cards can be captured later
+    const selectedType = totalAmount > 0 ? paymentMethodType || paymentMethod.type : null;
+    const allowedTypes = captureMethod === 'manual'
+      ? ['card']
+      : getAllowedPaymentMethodTypes(currency, orderBillingAddress?.country || getPaymentCountry(user));
+    if (selectedType && !allowedTypes.includes(selectedType)) {
+      return res.status(400).json({
+        message: `${selectedType} is not available for this order`,
+        allowedPaymentMethodTypes: allowedTypes
+      });
     }
 
-    // Create a unique order reference
-    const orderReference = `order_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+    // Create a unique order reference. A retried request must send Stripe the same
+    // parameters, so the reference is derived from the Idempotency-Key when there is one.
+    const orderReference = req.idempotencyKey
+      ? `order_${req.idempotencyKey.slice(0, 24)}`
+      : `order_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
     
     // Create metadata for the payment
     const metadata = {
@@ -1210,72 +5798,150 @@ app.post('/checkout', authenticateToken, async (req, res) => {
       customerId: user.customerId,
       userId: user._id.toString(),
       itemCount: items.length,
-      shipping: shippingAddress ? 'yes' : 'no'
+      shipping: orderShippingAddress ? 'yes' : 'no',
+      ...(discount ? { promoCode: discount.code } : {}),
+      ...(balanceApplied ? { balanceApplied } : {})
     };
 
-    // Create the payment intent
-    const paymentIntent = await stripeClient.paymentIntents.create({
+    const paymentIntentParams = {
       amount: totalAmount,
       currency,
       customer: req.user.customerId,
-      payment_method: selectedPaymentMethodId,
       confirm: true,
+      capture_method: captureMethod,
       description: `Order ${orderReference}`,
       metadata,
-      // Disable redirect-based payment methods
+      // The allowed methods are chosen here rather than from the Stripe dashboard
       automatic_payment_methods: {
         enabled: false
       },
-      // Only allow card payments
-      payment_method_types: ['card'],
+      payment_method_types: [selectedType],
       receipt_email: user.email
-    });
+    };
+
+    if (paymentMethodType) {
+      paymentIntentParams.payment_method_data = {
+        type: paymentMethodType,
+        billing_details: {
+          name: orderBillingAddress?.name || [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email,
+          email: user.email
+        }
+      };
+      paymentIntentParams.return_url = PAYMENT_RETURN_URL;
+    } else {
+      paymentIntentParams.payment_method = selectedPaymentMethodId;
+      if (NON_CARD_PAYMENT_METHODS[selectedType]?.debit) {
+        paymentIntentParams.mandate_data = onlineMandateData(req);
+      }
+    }
+
+    // The credit is taken before charging the rest. If it was spent elsewhere in the
+    // meantime (an invoice or an admin debit), the debit is reversed and nothing is charged.
+    let balanceTransaction = null;
+    if (balanceApplied > 0) {
+      balanceTransaction = await adjustCustomerBalance(user, -balanceApplied, currency, {
+        description: `Store credit used for order ${orderReference}`,
+        metadata: { orderId: orderReference }
+      }, stripeIdempotencyOptions(req, 'balance'));
+
+      if (balanceTransaction.ending_balance > 0) {
+        await adjustCustomerBalance(user, balanceApplied, currency, {
+          description: `Store credit returned for order ${orderReference}`,
+          metadata: { orderId: orderReference, reason: 'insufficient_balance' }
+        }, stripeIdempotencyOptions(req, 'balance-reversal'));
+        return res.status(409).json({ message: 'Your store credit has changed. Please review your order and try again.' });
+      }
+    }
+
+    // Create the payment intent. The credit is given back if it cannot be created,
+    // and later if the payment is canceled or the authorization released.
+    let paymentIntent = null;
+    if (totalAmount > 0) {
+      try {
+        paymentIntent = await stripeClient.paymentIntents.create(
+          paymentIntentParams,
+          stripeIdempotencyOptions(req, 'payment-intent')
+        );
+      } catch (err) {
+        if (balanceTransaction) {
+          await adjustCustomerBalance(user, balanceApplied, currency, {
+            description: `Store credit returned for order ${orderReference}`,
+            metadata: { orderId: orderReference, reason: 'payment_not_created' }
+          }, stripeIdempotencyOptions(req, 'balance-reversal'));
+        }
+        throw err;
+      }
+    }
+
+    const authorized = paymentIntent?.status === 'requires_capture';
+    const nextAction = paymentIntent ? buildNextAction(paymentIntent) : null;
 
     // Create the order object to save
     const order = {
       orderId: orderReference,
-      paymentIntentId: paymentIntent.id,
+      paymentIntentId: paymentIntent?.id,
       customerId: user.customerId,
       totalAmount: totalAmount,
+      subtotalAmount,
+      discount,
+      balanceApplied: balanceApplied || undefined,
+      balanceTransactionId: balanceTransaction?.id,
       currency,
       items: lineItems,
-      shippingAddress: shippingAddress || null,
-      billingAddress: billingAddress || shippingAddress || null,
-      status: paymentIntent.status,
-      paymentStatus: paymentIntent.status,
-      paymentMethodId: selectedPaymentMethodId,
-      paymentMethodLast4: paymentMethod.card.last4,
+      shippingAddress: orderShippingAddress,
+      billingAddress: orderBillingAddress,
+      status: !paymentIntent ? 'completed' : nextAction ? 'pending_authentication' : authorized ? 'authorized' : paymentIntent.status,
+      paymentStatus: paymentIntent ? paymentIntent.status : 'succeeded',
+      paymentMethodId: paymentIntent?.payment_method,
+      paymentMethodLast4: getPaymentMethodLast4(paymentMethod),
+      paymentMethodType: selectedType,
+      captureMethod,
       createdAt: new Date(),
       updatedAt: new Date()
     };
+
+    if (authorized) {
+      order.authorizedAt = new Date();
+      order.captureBefore = await getCaptureBefore(paymentIntent);
+    }
     
-    // Save the order using findOneAndUpdate for better atomicity
-    const updatedUser = await User.findOneAndUpdate(
+    // Save the order with an atomic push so concurrent updates to the user are kept
+    const saved = await User.updateOne(
       { _id: req.user.userId },
-      { $push: { orders: order } },
-      { new: true }
+      { $push: { orders: order } }
     );
-
-    // Verify the order was saved
-    if (updatedUser && updatedUser.orders.some(o => o.orderId === orderReference)) {
-      console.log(`✅ Order ${orderReference} successfully saved. User now has ${updatedUser.orders.length} orders.`);
-    } else {
-      console.error(`❌ Failed to save order ${orderReference}!`);
+    if (saved.matchedCount === 0) {
+      console.error(`Failed to save order ${orderReference} for user ${req.user.userId}`);
     }
 
     // Get receipt URL from the charge
     let receiptUrl = null;
-    if (paymentIntent.status === 'succeeded' && paymentIntent.charges && paymentIntent.charges.data.length > 0) {
+    if (paymentIntent?.status === 'succeeded' && paymentIntent.charges && paymentIntent.charges.data.length > 0) {
       receiptUrl = paymentIntent.charges.data[0].receipt_url;
     }
 
-    // Respond with the order confirmation
-    res.status(200).json({
-      message: 'Order placed successfully',
+    // Respond with the order confirmation, or with what the client has to do to
+    // authenticate the payment (or pay at the bank) before calling /payments/:id/confirm
+    let message = 'Order placed successfully';
+    if (nextAction) {
+      message = paymentMethodType ? 'Payment must be completed at the bank' : 'Payment requires authentication';
+    } else if (paymentIntent?.status === 'processing') {
+      message = 'Order placed; the payment is processing';
+    }
+
+    res.status(nextAction ? 202 : 200).json({
+      message,
+      requiresAction: !!nextAction,
+      nextAction,
       order: {
         orderId: orderReference,
-        paymentIntentId: paymentIntent.id,
-        status: paymentIntent.status,
+        paymentIntentId: paymentIntent?.id || null,
+        status: order.status,
+        captureMethod,
+        captureBefore: order.captureBefore || null,
+        subtotalAmount,
+        discount: discount ? { code: discount.code, amount: discount.amount } : null,
+        balanceApplied,
         totalAmount: totalAmount,
         currency: currency,
         items: lineItems.map(item => ({
@@ -1284,11 +5950,12 @@ app.post('/checkout', authenticateToken, async (req, res) => {
           price: item.price / 100, // Convert back to decimal for client
           subtotal: item.subtotal / 100 // Convert back to decimal for client
         })),
-        paymentMethod: {
-          id: paymentMethod.id,
-          brand: paymentMethod.card.brand,
-          last4: paymentMethod.card.last4
-        },
+        paymentMethod: paymentIntent ? {
+          id: paymentIntent.payment_method,
+          type: selectedType,
+          brand: paymentMethod?.card?.brand || null,
+          last4: getPaymentMethodLast4(paymentMethod)
+        } : null,
         receiptUrl: receiptUrl,
         createdAt: new Date()
       }
@@ -1300,11 +5967,22 @@ app.post('/checkout', authenticateToken, async (req, res) => {
       error: error.message,
       code: error.code || 'unknown_error'
     });
+  } finally {
+    if (balanceLock) {
+      await releaseLock(`balance:lock:${req.user.userId}`, balanceLock).catch(err => {
+        console.error(`Error releasing store credit lock: ${err.message}`);
+      });
+    }
+    if (promotionLock) {
+      await releaseLock(promotionLock.key, promotionLock.token).catch(err => {
+        console.error(`Error releasing promotion code lock: ${err.message}`);
+      });
+    }
   }
 });
 
 // Get user orders API
-app.get('/orders', authenticateToken, async (req, res) => {
+app.get('/orders', authenticateTokenOrApiKey('payments:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user) {
@@ -1323,6 +6001,7 @@ app.get('/orders', authenticateToken, async (req, res) => {
         totalAmount: order.totalAmount,
         currency: order.currency,
         status: order.status,
+        amountRefunded: order.amountRefunded || 0,
         itemCount: order.items.length,
         createdAt: order.createdAt
       }))
@@ -1334,7 +6013,7 @@ app.get('/orders', authenticateToken, async (req, res) => {
 });
 
 // Get specific order details API
-app.get('/orders/:orderId', authenticateToken, async (req, res) => {
+app.get('/orders/:orderId', authenticateTokenOrApiKey('payments:read'), async (req, res) => {
   const { orderId } = req.params;
   
   try {
@@ -1349,12 +6028,15 @@ app.get('/orders/:orderId', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Get additional details from Stripe if needed
-    const paymentIntent = await stripeClient.paymentIntents.retrieve(order.paymentIntentId);
+    // Get additional details from Stripe if needed; orders paid entirely with
+    // store credit have no payment intent
+    const paymentIntent = order.paymentIntentId
+      ? await stripeClient.paymentIntents.retrieve(order.paymentIntentId)
+      : null;
     
     // Get receipt URL from the charge
     let receiptUrl = null;
-    if (paymentIntent.charges && paymentIntent.charges.data.length > 0) {
+    if (paymentIntent?.charges && paymentIntent.charges.data.length > 0) {
       receiptUrl = paymentIntent.charges.data[0].receipt_url;
     }
 
@@ -1362,6 +6044,9 @@ app.get('/orders/:orderId', authenticateToken, async (req, res) => {
       order: {
         orderId: order.orderId,
         paymentIntentId: order.paymentIntentId,
+        subtotalAmount: order.subtotalAmount ?? order.totalAmount,
+        discount: order.discount ? { code: order.discount.code, amount: order.discount.amount } : null,
+        balanceApplied: order.balanceApplied || 0,
         totalAmount: order.totalAmount,
         currency: order.currency,
         items: order.items.map(item => ({
@@ -1374,14 +6059,19 @@ app.get('/orders/:orderId', authenticateToken, async (req, res) => {
         shippingAddress: order.shippingAddress,
         billingAddress: order.billingAddress,
         status: order.status,
-        paymentStatus: paymentIntent.status,
+        paymentStatus: REFUNDED_STATUSES.includes(order.paymentStatus) || !paymentIntent ? order.paymentStatus : paymentIntent.status,
+        captureMethod: order.captureMethod || 'automatic',
+        captureBefore: order.captureBefore || null,
+        amountCaptured: order.amountCaptured ?? null,
+        amountRefunded: order.amountRefunded || 0,
+        refunds: (order.refunds || []).map(formatRefund),
         paymentMethod: {
           id: order.paymentMethodId,
           last4: order.paymentMethodLast4
         },
         receiptUrl: receiptUrl,
         createdAt: order.createdAt,
-        updatedAt: paymentIntent.created > order.createdAt.getTime()/1000 
+        updatedAt: paymentIntent?.created > order.createdAt.getTime()/1000 
           ? new Date(paymentIntent.created * 1000) 
           : order.createdAt
       }
@@ -1392,6 +6082,557 @@ app.get('/orders/:orderId', authenticateToken, async (req, res) => {
   }
 });
 
+// Hosted checkout: Stripe Checkout Sessions and reusable Payment Links. Nothing is stored
+// until checkout.session.completed arrives; then the order or subscription is written to the user.
+const CHECKOUT_SESSION_MODES = ['payment', 'subscription'];
+const CHECKOUT_SUCCESS_URL = process.env.CHECKOUT_SUCCESS_URL ||
+  `${process.env.APP_BASE_URL || 'http://localhost:3000'}/checkout/success?session_id={CHECKOUT_SESSION_ID}`;
+const CHECKOUT_CANCEL_URL = process.env.CHECKOUT_CANCEL_URL ||
+  `${process.env.APP_BASE_URL || 'http://localhost:3000'}/checkout/cancel`;
+
+// Checkout Session line items for a cart, with the prices defined inline
+function toStripeLineItems(lineItems, currency) {
+  return lineItems.map(item => ({
+    quantity: item.quantity,
+    price_data: {
+      currency,
+      unit_amount: item.price,
+      product_data: {
+        name: item.name,
+        ...(item.description ? { description: item.description } : {}),
+        metadata: { productId: item.productId }
+      }
+    }
+  }));
+}
+
+// Payment Links only take Price IDs, so each cart item gets a one-off price
+async function createCartPrices(lineItems, currency) {
+  return Promise.all(lineItems.map(async item => {
+    const price = await stripeClient.prices.create({
+      currency,
+      unit_amount: item.price,
+      product_data: {
+        name: item.name,
+        metadata: { productId: item.productId }
+      }
+    });
+    return { price: price.id, quantity: item.quantity };
+  }));
+}
+
+async function findActivePlan(planId) {
+  if (!mongoose.Types.ObjectId.isValid(planId)) return null;
+  return SubscriptionPlan.findOne({ _id: planId, active: true });
+}
+
+// Create Checkout Session API: a cart (payment mode) or a subscription plan (subscription mode)
+app.post('/checkout-sessions', authenticateToken, requireVerifiedEmail, blockPendingDeletion, idempotent, async (req, res) => {
+  const { mode = 'payment', items, planId, currency = 'usd' } = req.body;
+
+  if (!CHECKOUT_SESSION_MODES.includes(mode)) {
+    return res.status(400).json({ message: `mode must be one of: ${CHECKOUT_SESSION_MODES.join(', ')}` });
+  }
+
+  if (mode === 'payment' && (!Array.isArray(items) || items.length === 0 || !items.every(isValidCartItem))) {
+    return res.status(400).json({ message: 'Cart items with a price and positive quantity are required' });
+  }
+
+  if (mode === 'subscription' && !planId) {
+    return res.status(400).json({ message: 'planId is required for subscription checkout' });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessionParams = {
+      mode,
+      customer: user.customerId,
+      client_reference_id: user._id.toString(),
+      success_url: CHECKOUT_SUCCESS_URL,
+      cancel_url: CHECKOUT_CANCEL_URL,
+      allow_promotion_codes: true,
+      metadata: {
+        userId: user._id.toString()
+      }
+    };
+
+    if (mode === 'payment') {
+      const { lineItems, totalAmount } = buildOrderLineItems(items);
+      if (totalAmount <= 0) {
+        return res.status(400).json({ message: 'Total amount must be greater than 0' });
+      }
+
+      // Same reference scheme as /checkout, so a retried request creates the same session
+      const orderReference = req.idempotencyKey
+        ? `order_${req.idempotencyKey.slice(0, 24)}`
+        : `order_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+
+      sessionParams.line_items = toStripeLineItems(lineItems, currency);
+      sessionParams.payment_method_types = getAllowedPaymentMethodTypes(currency, getPaymentCountry(user));
+      sessionParams.metadata.orderId = orderReference;
+      sessionParams.payment_intent_data = {
+        description: `Order ${orderReference}`,
+        receipt_email: user.email,
+        metadata: {
+          orderId: orderReference,
+          customerId: user.customerId,
+          userId: user._id.toString()
+        }
+      };
+    } else {
+      if (user.subscriptionId && ['active', 'trialing'].includes(user.subscriptionStatus)) {
+        return res.status(400).json({
+          message: 'User already has an active subscription',
+          subscriptionId: user.subscriptionId,
+          status: user.subscriptionStatus
+        });
+      }
+
+      const plan = await findActivePlan(planId);
+      if (!plan) {
+        return res.status(404).json({ message: 'Subscription plan not found' });
+      }
+
+      // Redirect methods cannot be charged again for renewals
+      sessionParams.payment_method_types = getAllowedPaymentMethodTypes(plan.currency, getPaymentCountry(user))
+        .filter(type => !NON_CARD_PAYMENT_METHODS[type]?.redirect);
+      sessionParams.line_items = [{ price: plan.priceId, quantity: 1 }];
+      sessionParams.metadata.planId = plan._id.toString();
+      sessionParams.subscription_data = {
+        metadata: {
+          userId: user._id.toString(),
+          planId: plan._id.toString()
+        },
+        ...(plan.trialDays > 0 ? { trial_period_days: plan.trialDays } : {})
+      };
+    }
+
+    const session = await stripeClient.checkout.sessions.create(
+      sessionParams,
+      stripeIdempotencyOptions(req, 'checkout-session')
+    );
+
+    res.status(201).json({
+      message: 'Checkout session created successfully',
+      sessionId: session.id,
+      url: session.url,
+      expiresAt: new Date(session.expires_at * 1000),
+      orderId: session.metadata?.orderId || null
+    });
+  } catch (error) {
+    console.error('Error creating checkout session:', error);
+    res.status(500).json({ message: 'Error creating checkout session', error: error.message });
+  }
+});
+
+// Get Checkout Session API, for the success page
+app.get('/checkout-sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await stripeClient.checkout.sessions.retrieve(req.params.sessionId);
+    if (session.customer !== req.user.customerId) {
+      return res.status(404).json({ message: 'Checkout session not found' });
+    }
+
+    res.status(200).json({
+      session: {
+        id: session.id,
+        mode: session.mode,
+        status: session.status,
+        paymentStatus: session.payment_status,
+        amountTotal: session.amount_total,
+        currency: session.currency,
+        orderId: session.metadata?.orderId || null,
+        subscriptionId: session.subscription || null,
+        url: session.status === 'open' ? session.url : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching checkout session:', error);
+    res.status(500).json({ message: 'Error fetching checkout session', error: error.message });
+  }
+});
+
+function formatPaymentLink(paymentLink) {
+  return {
+    id: paymentLink.id,
+    url: paymentLink.url,
+    active: paymentLink.active,
+    name: paymentLink.metadata?.name || null,
+    planId: paymentLink.metadata?.planId || null,
+    createdBy: paymentLink.metadata?.createdBy || null,
+    afterCompletionUrl: paymentLink.after_completion?.redirect?.url || null
+  };
+}
+
+// Create a reusable Payment Link for a cart or a subscription plan (admin only)
+app.post('/admin/payment-links', authenticateToken, requireRole('billing_admin'), async (req, res) => {
+  const { items, planId, currency = 'usd', name, afterCompletionUrl, allowPromotionCodes = false } = req.body;
+
+  if (!!items === !!planId) {
+    return res.status(400).json({ message: 'Provide either items or planId' });
+  }
+
+  if (items && (!Array.isArray(items) || items.length === 0 || !items.every(isValidCartItem))) {
+    return res.status(400).json({ message: 'Cart items with a price and positive quantity are required' });
+  }
+
+  try {
+    const params = {
+      allow_promotion_codes: allowPromotionCodes === true,
+      metadata: {
+        name: name || '',
+        createdBy: req.user.userId
+      }
+    };
+
+    if (planId) {
+      const plan = await findActivePlan(planId);
+      if (!plan) {
+        return res.status(404).json({ message: 'Subscription plan not found' });
+      }
+
+      params.line_items = [{ price: plan.priceId, quantity: 1 }];
+      params.metadata.planId = plan._id.toString();
+      params.subscription_data = {
+        metadata: { planId: plan._id.toString() },
+        ...(plan.trialDays > 0 ? { trial_period_days: plan.trialDays } : {})
+      };
+    } else {
+      const { lineItems, totalAmount } = buildOrderLineItems(items);
+      if (totalAmount <= 0) {
+        return res.status(400).json({ message: 'Total amount must be greater than 0' });
+      }
+
+      params.line_items = await createCartPrices(lineItems, currency);
+      // Buyers get a Stripe customer, so every payment has a customer record in Stripe
+      params.customer_creation = 'always';
+    }
+
+    if (afterCompletionUrl) {
+      params.after_completion = { type: 'redirect', redirect: { url: afterCompletionUrl } };
+    }
+
+    const paymentLink = await stripeClient.paymentLinks.create(params);
+
+    await recordAuditLog(req, 'payment_link.created', null, {
+      paymentLinkId: paymentLink.id,
+      planId: planId || null,
+      name: name || null
+    });
+
+    res.status(201).json({
+      message: 'Payment link created successfully',
+      paymentLink: formatPaymentLink(paymentLink)
+    });
+  } catch (error) {
+    console.error('Error creating payment link:', error);
+    res.status(500).json({ message: 'Error creating payment link', error: error.message });
+  }
+});
+
+// List Payment Links (admin and support)
+app.get('/admin/payment-links', authenticateToken, requireRole('billing_admin', 'support'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  try {
+    const params = { limit };
+    if (req.query.active !== undefined) {
+      params.active = req.query.active === 'true';
+    }
+    if (req.query.startingAfter) {
+      params.starting_after = req.query.startingAfter;
+    }
+
+    const paymentLinks = await stripeClient.paymentLinks.list(params);
+
+    res.status(200).json({
+      paymentLinks: paymentLinks.data.map(formatPaymentLink),
+      hasMore: paymentLinks.has_more
+    });
+  } catch (error) {
+    console.error('Error fetching payment links:', error);
+    res.status(500).json({ message: 'Error fetching payment links', error: error.message });
+  }
+});
+
+// Get a Payment Link with its line items and the orders placed through it (admin and support)
+app.get('/admin/payment-links/:linkId', authenticateToken, requireRole('billing_admin', 'support'), async (req, res) => {
+  const { linkId } = req.params;
+
+  try {
+    const [paymentLink, lineItems, orderStats] = await Promise.all([
+      stripeClient.paymentLinks.retrieve(linkId),
+      stripeClient.paymentLinks.listLineItems(linkId, { limit: 100 }),
+      User.aggregate([
+        { $match: { 'orders.paymentLinkId': linkId } },
+        { $unwind: '$orders' },
+        { $match: { 'orders.paymentLinkId': linkId } },
+        { $group: { _id: '$orders.currency', orders: { $sum: 1 }, totalAmount: { $sum: '$orders.totalAmount' } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      paymentLink: {
+        ...formatPaymentLink(paymentLink),
+        lineItems: lineItems.data.map(item => ({
+          description: item.description,
+          quantity: item.quantity,
+          price: item.price?.unit_amount,
+          currency: item.currency
+        }))
+      },
+      orders: orderStats.map(stat => ({ currency: stat._id, count: stat.orders, totalAmount: stat.totalAmount }))
+    });
+  } catch (error) {
+    console.error('Error fetching payment link:', error);
+    res.status(500).json({ message: 'Error fetching payment link', error: error.message });
+  }
+});
+
+// Update a Payment Link, e.g. deactivate it when a campaign ends (admin only)
+app.put('/admin/payment-links/:linkId', authenticateToken, requireRole('billing_admin'), async (req, res) => {
+  const { linkId } = req.params;
+  const { active, name, afterCompletionUrl } = req.body;
+
+  if (active !== undefined && typeof active !== 'boolean') {
+    return res.status(400).json({ message: 'active must be a boolean' });
+  }
+
+  try {
+    const params = {};
+    if (active !== undefined) {
+      params.active = active;
+    }
+    if (name !== undefined) {
+      params.metadata = { name: name || '' };
+    }
+    if (afterCompletionUrl !== undefined) {
+      params.after_completion = afterCompletionUrl
+        ? { type: 'redirect', redirect: { url: afterCompletionUrl } }
+        : { type: 'hosted_confirmation' };
+    }
+
+    if (Object.keys(params).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const paymentLink = await stripeClient.paymentLinks.update(linkId, params);
+
+    await recordAuditLog(req, 'payment_link.updated', null, { paymentLinkId: linkId, changes: req.body });
+
+    res.status(200).json({
+      message: 'Payment link updated successfully',
+      paymentLink: formatPaymentLink(paymentLink)
+    });
+  } catch (error) {
+    console.error('Error updating payment link:', error);
+    res.status(500).json({ message: 'Error updating payment link', error: error.message });
+  }
+});
+
+// The user a completed Checkout Session belongs to. Our own sessions carry the user ID;
+// Payment Link buyers are matched by Stripe customer, then by email.
+async function findCheckoutSessionUser(session) {
+  const userId = session.metadata?.userId || session.client_reference_id;
+  if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+    const user = await User.findById(userId);
+    if (user) return user;
+  }
+
+  // The email a buyer types into checkout is not verified, so it never identifies an account
+  return session.customer ? User.findOne({ customerId: session.customer }) : null;
+}
+
+// Helper function to record what was bought through hosted checkout
+async function handleCheckoutSessionCompleted(session) {
+  console.log(`Checkout session ${session.id} completed (${session.mode}, ${session.payment_status})`);
+
+  try {
+    const user = await findCheckoutSessionUser(session);
+    if (!user) {
+      console.error(`No user found for checkout session ${session.id}`);
+      return;
+    }
+
+    if (session.mode === 'subscription') {
+      await recordCheckoutSubscription(user, session);
+    } else if (session.mode === 'payment') {
+      await recordCheckoutOrder(user, session);
+    }
+  } catch (err) {
+    console.error(`Error handling completed checkout session: ${err.message}`);
+    throw err;
+  }
+}
+
+async function recordCheckoutOrder(user, session) {
+  if (!session.payment_intent) {
+    console.log(`Checkout session ${session.id} has no payment, nothing to record`);
+    return;
+  }
+
+  const orderId = session.metadata?.orderId || `order_${session.id.slice(-24)}`;
+  if (user.orders.some(order => order.orderId === orderId || order.paymentIntentId === session.payment_intent)) {
+    console.log(`Order for checkout session ${session.id} already recorded for user ${user.email}`);
+    return;
+  }
+
+  const [lineItems, paymentIntent, sessionDetails] = await Promise.all([
+    stripeClient.checkout.sessions
+      .listLineItems(session.id, { limit: 100, expand: ['data.price.product'] })
+      .autoPagingToArray({ limit: 1000 }),
+    stripeClient.paymentIntents.retrieve(session.payment_intent, { expand: ['payment_method'] }),
+    stripeClient.checkout.sessions.retrieve(session.id, {
+      expand: ['total_details.breakdown.discounts.discount.promotion_code']
+    })
+  ]);
+
+  // Promotion code the customer entered on the hosted page
+  const sessionDiscount = sessionDetails.total_details?.breakdown?.discounts?.[0];
+  const discount = sessionDiscount ? {
+    code: sessionDiscount.discount.promotion_code?.code || null,
+    promotionCodeId: sessionDiscount.discount.promotion_code?.id || null,
+    couponId: sessionDiscount.discount.coupon.id,
+    percentOff: sessionDiscount.discount.coupon.percent_off,
+    amountOff: sessionDiscount.discount.coupon.amount_off,
+    amount: sessionDiscount.amount
+  } : null;
+
+  const paymentMethod = paymentIntent.payment_method;
+  const address = session.customer_details?.address;
+  // Delayed methods (bank debits) complete the session before the money arrives
+  const paid = session.payment_status === 'paid';
+
+  const order = {
+    orderId,
+    paymentIntentId: paymentIntent.id,
+    customerId: session.customer || user.customerId,
+    totalAmount: session.amount_total,
+    subtotalAmount: session.amount_subtotal,
+    discount,
+    currency: session.currency,
+    items: lineItems.map(item => ({
+      name: item.description,
+      quantity: item.quantity,
+      price: item.price?.unit_amount,
+      subtotal: item.amount_subtotal,
+      productId: item.price?.product?.metadata?.productId || item.price?.product?.id || '',
+      metadata: {}
+    })),
+    billingAddress: address ? {
+      name: session.customer_details.name,
+      line1: address.line1,
+      line2: address.line2,
+      city: address.city,
+      state: address.state,
+      postalCode: address.postal_code,
+      country: address.country
+    } : null,
+    status: paid ? 'completed' : 'processing',
+    paymentStatus: paymentIntent.status,
+    paymentMethodId: paymentMethod?.id,
+    paymentMethodLast4: getPaymentMethodLast4(paymentMethod),
+    paymentMethodType: paymentMethod?.type,
+    checkoutSessionId: session.id,
+    paymentLinkId: session.payment_link || null,
+    createdAt: new Date(session.created * 1000),
+    updatedAt: new Date()
+  };
+
+  await User.updateOne(
+    { _id: user._id, 'orders.orderId': { $ne: orderId } },
+    { $push: { orders: order } }
+  );
+
+  // Payment Link buyers may pay as a different Stripe customer, which the
+  // payment_intent webhooks cannot match, so the payment is recorded here too
+  await User.updateOne(
+    { _id: user._id, 'paymentHistory.paymentIntentId': { $ne: paymentIntent.id } },
+    {
+      $push: {
+        paymentHistory: {
+          paymentIntentId: paymentIntent.id,
+          amount: session.amount_total,
+          currency: session.currency,
+          status: paid ? 'succeeded' : 'processing',
+          paymentMethodId: paymentMethod?.id,
+          paymentMethodLast4: getPaymentMethodLast4(paymentMethod),
+          paymentMethodType: paymentMethod?.type,
+          orderId
+        }
+      }
+    }
+  );
+
+  console.log(`Order ${orderId} from checkout session ${session.id} recorded for user ${user.email}`);
+}
+
+async function recordCheckoutSubscription(user, session) {
+  const subscription = await stripeClient.subscriptions.retrieve(session.subscription, {
+    expand: ['items.data.price.product']
+  });
+  const price = subscription.items.data[0].price;
+
+  if (subscription.customer !== user.customerId) {
+    console.error(`Subscription ${subscription.id} belongs to Stripe customer ${subscription.customer}, not ${user.customerId}; not recording it for user ${user.email}`);
+    return;
+  }
+
+  if (user.subscriptionId && user.subscriptionId !== subscription.id &&
+      ['active', 'trialing'].includes(user.subscriptionStatus)) {
+    console.error(`User ${user.email} already has ${user.subscriptionStatus} subscription ${user.subscriptionId}; not replacing it with ${subscription.id} from checkout session ${session.id}`);
+    return;
+  }
+
+  user.subscriptionId = subscription.id;
+  user.subscriptionStatus = subscription.status;
+  user.subscriptionPeriodEnd = new Date(subscription.current_period_end * 1000);
+  user.subscriptionPriceId = price.id;
+  user.subscriptionBillingDetails = {
+    interval: price.recurring.interval,
+    intervalCount: price.recurring.interval_count,
+    amount: price.unit_amount,
+    currency: price.currency,
+    productName: price.product.name,
+    productId: price.product.id
+  };
+
+  await user.save();
+  console.log(`Subscription ${subscription.id} from checkout session ${session.id} recorded for user ${user.email}`);
+}
+
+// Helper function to settle orders paid with a delayed method through hosted checkout
+async function handleCheckoutSessionAsyncPayment(session, succeeded) {
+  console.log(`Checkout session ${session.id} payment ${succeeded ? 'succeeded' : 'failed'}`);
+
+  try {
+    const user = await findCheckoutSessionUser(session);
+    if (!user || !session.payment_intent) {
+      console.error(`No user or payment found for checkout session ${session.id}`);
+      return;
+    }
+
+    await resolvePendingPayment(user._id, session.payment_intent, { status: succeeded ? 'succeeded' : 'failed' });
+    await User.updateOne(
+      { _id: user._id, 'orders.paymentIntentId': session.payment_intent },
+      {
+        $set: {
+          'orders.$.status': succeeded ? 'completed' : 'failed',
+          'orders.$.paymentStatus': succeeded ? 'succeeded' : 'requires_payment_method',
+          'orders.$.updatedAt': new Date()
+        }
+      }
+    );
+  } catch (err) {
+    console.error(`Error handling checkout session payment: ${err.message}`);
+    throw err;
+  }
+}
+
 // Improved order status update function
 async function updateOrderStatus(userId, orderId, orderStatus, paymentStatus) {
   try {
@@ -1445,18 +6686,18 @@ async function updateOrderStatus(userId, orderId, orderStatus, paymentStatus) {
 }
 
 // Create Subscription API
-app.post('/subscriptions', authenticateToken, async (req, res) => {
+app.post('/subscriptions', authenticateToken, requireVerifiedEmail, blockPendingDeletion, idempotent, async (req, res) => {
   const { 
     priceId,  // Stripe Price ID
     paymentMethodId, // Optional - use default if not provided
-    couponId, // Optional coupon code
+    promoCode, // Optional customer-facing promotion code
     trialDays // Optional trial period
   } = req.body;
   
   if (!priceId) {
     return res.status(400).json({ message: 'Price ID is required' });
   }
-  
+
   try {
     const user = await User.findById(req.user.userId);
     if (!user) {
@@ -1499,9 +6740,20 @@ app.post('/subscriptions', authenticateToken, async (req, res) => {
       }
     };
     
-    // Add coupon if provided
-    if (couponId) {
-      subscriptionParams.coupon = couponId;
+    // Promotion codes are checked here and redeemed by Stripe
+    let promotionCode = null;
+    if (promoCode) {
+      const promoPrice = await stripeClient.prices.retrieve(priceId);
+      const result = await resolvePromotionCode(promoCode, user, {
+        amount: promoPrice.unit_amount,
+        currency: promoPrice.currency,
+        productId: promoPrice.product
+      });
+      if (result.error) {
+        return res.status(400).json({ message: result.error, code: 'invalid_promo_code' });
+      }
+      promotionCode = result.promotionCode;
+      subscriptionParams.discounts = [{ promotion_code: promotionCode.id }];
     }
     
     // Add trial period if provided
@@ -1511,7 +6763,10 @@ app.post('/subscriptions', authenticateToken, async (req, res) => {
     }
     
     // Create the subscription
-    const subscription = await stripeClient.subscriptions.create(subscriptionParams);
+    const subscription = await stripeClient.subscriptions.create(
+      subscriptionParams,
+      stripeIdempotencyOptions(req, 'subscription')
+    );
     
     // Get the price details to save in our database
     const price = await stripeClient.prices.retrieve(priceId, {
@@ -1546,7 +6801,8 @@ app.post('/subscriptions', authenticateToken, async (req, res) => {
         currency: subscription.latest_invoice.currency,
         status: 'succeeded',
         paymentMethodId: selectedPaymentMethodId,
-        paymentMethodLast4: paymentMethod.card.last4,
+        paymentMethodLast4: getPaymentMethodLast4(paymentMethod),
+        paymentMethodType: paymentMethod.type,
         subscriptionId: subscription.id,
         invoiceId: subscription.latest_invoice.id
       });
@@ -1562,10 +6818,12 @@ app.post('/subscriptions', authenticateToken, async (req, res) => {
         status: subscription.status,
         currentPeriodEnd: new Date(subscription.current_period_end * 1000),
         billingDetails,
+        discount: promotionCode ? { code: promotionCode.code, ...formatCoupon(promotionCode.coupon) } : null,
         paymentMethod: {
           id: paymentMethod.id,
-          brand: paymentMethod.card.brand,
-          last4: paymentMethod.card.last4
+          type: paymentMethod.type,
+          brand: paymentMethod.card?.brand,
+          last4: getPaymentMethodLast4(paymentMethod)
         }
       }
     });
@@ -1702,10 +6960,11 @@ app.get('/subscriptions/current', authenticateToken, async (req, res) => {
         },
         paymentMethod: subscription.default_payment_method ? {
           id: subscription.default_payment_method.id,
-          brand: subscription.default_payment_method.card.brand,
-          last4: subscription.default_payment_method.card.last4,
-          expMonth: subscription.default_payment_method.card.exp_month,
-          expYear: subscription.default_payment_method.card.exp_year
+          type: subscription.default_payment_method.type,
+          brand: subscription.default_payment_method.card?.brand,
+          last4: getPaymentMethodLast4(subscription.default_payment_method),
+          expMonth: subscription.default_payment_method.card?.exp_month,
+          expYear: subscription.default_payment_method.card?.exp_year
         } : null,
         upcomingInvoice: upcomingInvoice ? {
           amount: upcomingInvoice.amount_due / 100,
@@ -1724,7 +6983,7 @@ app.get('/subscriptions/current', authenticateToken, async (req, res) => {
 });
 
 // Update Subscription Payment Method API
-app.post('/subscriptions/update-payment', authenticateToken, async (req, res) => {
+app.post('/subscriptions/update-payment', authenticateToken, requireVerifiedEmail, blockPendingDeletion, async (req, res) => {
   const { paymentMethodId } = req.body;
   
   if (!paymentMethodId) {
@@ -1762,8 +7021,9 @@ app.post('/subscriptions/update-payment', authenticateToken, async (req, res) =>
         status: updatedSubscription.status,
         paymentMethod: {
           id: paymentMethod.id,
-          brand: paymentMethod.card.brand,
-          last4: paymentMethod.card.last4
+          type: paymentMethod.type,
+          brand: paymentMethod.card?.brand,
+          last4: getPaymentMethodLast4(paymentMethod)
         }
       }
     });
@@ -1777,8 +7037,8 @@ app.post('/subscriptions/update-payment', authenticateToken, async (req, res) =>
 });
 
 // Change Subscription Plan API
-app.post('/subscriptions/change-plan', authenticateToken, async (req, res) => {
-  const { newPriceId, prorationBehavior = 'create_prorations' } = req.body;
+app.post('/subscriptions/change-plan', authenticateToken, requireVerifiedEmail, blockPendingDeletion, idempotent, async (req, res) => {
+  const { newPriceId, prorationBehavior = 'create_prorations', promoCode } = req.body;
   
   if (!newPriceId) {
     return res.status(400).json({ message: 'New price ID is required' });
@@ -1803,23 +7063,41 @@ app.post('/subscriptions/change-plan', authenticateToken, async (req, res) => {
     
     const subscriptionItemId = subscription.items.data[0].id;
     
-    // Update the subscription with the new price
-    const updatedSubscription = await stripeClient.subscriptions.update(
-      user.subscriptionId,
-      {
-        proration_behavior: prorationBehavior,
-        items: [{
-          id: subscriptionItemId,
-          price: newPriceId,
-        }],
-        expand: ['latest_invoice.payment_intent']
-      }
-    );
-    
     // Get the new price details to save in our database
     const price = await stripeClient.prices.retrieve(newPriceId, {
       expand: ['product']
     });
+
+    const updateParams = {
+      proration_behavior: prorationBehavior,
+      items: [{
+        id: subscriptionItemId,
+        price: newPriceId,
+      }],
+      expand: ['latest_invoice.payment_intent']
+    };
+
+    // A promotion code replaces the subscription's current discount
+    let promotionCode = null;
+    if (promoCode) {
+      const result = await resolvePromotionCode(promoCode, user, {
+        amount: price.unit_amount,
+        currency: price.currency,
+        productId: price.product.id
+      });
+      if (result.error) {
+        return res.status(400).json({ message: result.error, code: 'invalid_promo_code' });
+      }
+      promotionCode = result.promotionCode;
+      updateParams.discounts = [{ promotion_code: promotionCode.id }];
+    }
+    
+    // Update the subscription with the new price
+    const updatedSubscription = await stripeClient.subscriptions.update(
+      user.subscriptionId,
+      updateParams,
+      stripeIdempotencyOptions(req, 'subscription-update')
+    );
     
     // Determine the billing details
     const billingDetails = {
@@ -1859,7 +7137,8 @@ app.post('/subscriptions/change-plan', authenticateToken, async (req, res) => {
         id: updatedSubscription.id,
         status: updatedSubscription.status,
         currentPeriodEnd: new Date(updatedSubscription.current_period_end * 1000),
-        billingDetails
+        billingDetails,
+        discount: promotionCode ? { code: promotionCode.code, ...formatCoupon(promotionCode.coupon) } : null
       }
     });
   } catch (error) {
@@ -2077,6 +7356,22 @@ async function handleInvoicePaymentFailed(invoice) {
     
     await user.save();
     console.log(`Subscription ${invoice.subscription} payment failed for user ${user.email}`);
+
+    // Ask the user to update the card when the renewal failed because it expired
+    if (invoice.payment_intent) {
+      try {
+        const paymentIntent = await stripeClient.paymentIntents.retrieve(invoice.payment_intent);
+        if (paymentIntent.last_payment_error?.code === 'expired_card') {
+          await sendEmail({
+            to: user.email,
+            subject: 'Your subscription payment failed: card expired',
+            text: `We could not renew your subscription because the card on file has expired. Please add a new card at ${process.env.APP_BASE_URL || 'http://localhost:3000'} to keep your subscription active.`
+          });
+        }
+      } catch (err) {
+        console.error(`Error sending expired card notification: ${err.message}`);
+      }
+    }
   } catch (err) {
     console.error(`Error handling invoice payment failed: ${err.message}`);
     throw err;
@@ -2084,14 +7379,8 @@ async function handleInvoicePaymentFailed(invoice) {
 }
 
 // Create subscription plan API
-app.post('/admin/subscription-plans', authenticateToken, async (req, res) => {
+app.post('/admin/subscription-plans', authenticateToken, requireRole('billing_admin'), async (req, res) => {
   try {
-    // Only allow the current user (assuming they're an admin)
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
     const { 
       name, 
       description, 
@@ -2116,7 +7405,7 @@ app.post('/admin/subscription-plans', authenticateToken, async (req, res) => {
       active,
       metadata: {
         features: JSON.stringify(features),
-        createdBy: user._id.toString()
+        createdBy: req.user.userId
       }
     });
 
@@ -2145,7 +7434,7 @@ app.post('/admin/subscription-plans', authenticateToken, async (req, res) => {
       trialDays,
       features,
       active,
-      createdBy: user._id
+      createdBy: req.user.userId
     });
 
     res.status(201).json({
@@ -2173,7 +7462,72 @@ app.post('/admin/subscription-plans', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete User Account API
+// Days between an account deletion request and the purge
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14');
+
+// When an account that requested deletion will be purged
+const accountDeletionDate = (user) =>
+  new Date(user.accountDeletionRequestedAt.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+// Tear down an account: cancel the subscription, delete the Stripe customer,
+// keep anonymous feedback and remove the user
+async function purgeUserAccount(user) {
+  // Cancel subscription if exists
+  if (user.subscriptionId) {
+    try {
+      // Try to cancel the subscription
+      await stripeClient.subscriptions.cancel(user.subscriptionId);
+      console.log(`Subscription ${user.subscriptionId} canceled for user ${user.email}`);
+    } catch (err) {
+      console.error(`Error canceling subscription: ${err.message}`);
+      // Continue with deletion even if subscription cancellation fails
+    }
+  }
+  
+  // Delete Stripe customer if exists
+  if (user.customerId) {
+    try {
+      await stripeClient.customers.del(user.customerId);
+      console.log(`Stripe customer ${user.customerId} deleted for user ${user.email}`);
+    } catch (err) {
+      console.error(`Error deleting Stripe customer: ${err.message}`);
+      // Continue with deletion even if customer deletion fails
+    }
+  }
+  
+  // Create an anonymous record of the deletion if reason provided
+  if (user.accountDeletionReason) {
+    await DeletedUserFeedback.create({
+      reason: user.accountDeletionReason,
+      hadSubscription: !!user.subscriptionId,
+      email: user.email.slice(0, 3) + '***@***' + user.email.split('@')[1].slice(-3), // Anonymized email
+      createdAt: new Date()
+    });
+  }
+  
+  // Remove any personal data exports
+  const dataExports = await DataExport.find({ userId: user._id });
+  for (const dataExport of dataExports) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+  }
+  await DataExport.deleteMany({ userId: user._id });
+  await ApiKey.deleteMany({ userId: user._id });
+  await Session.deleteMany({ userId: user._id });
+  
+  // Delete the user from the database
+  await User.findByIdAndDelete(user._id);
+
+  try {
+    await revokeUserTokens(user._id);
+    await redisDel(`auth:suspended:${user._id}`);
+  } catch (err) {
+    console.error(`Error revoking tokens of deleted user: ${err.message}`);
+  }
+}
+
+// Request Account Deletion API (the account is purged after the grace period)
 app.delete('/user/account', authenticateToken, async (req, res) => {
   try {
     const { password, deleteReason } = req.body;
@@ -2191,45 +7545,54 @@ app.delete('/user/account', authenticateToken, async (req, res) => {
         return res.status(401).json({ message: 'Invalid password' });
       }
     }
-    
-    // Cancel subscription if exists
-    if (user.subscriptionId) {
-      try {
-        // Try to cancel the subscription
-        await stripeClient.subscriptions.cancel(user.subscriptionId);
-        console.log(`Subscription ${user.subscriptionId} canceled for user ${user.email}`);
-      } catch (err) {
-        console.error(`Error canceling subscription: ${err.message}`);
-        // Continue with deletion even if subscription cancellation fails
-      }
+
+    if (user.accountDeletionRequested) {
+      return res.status(400).json({ 
+        message: 'Account deletion already requested',
+        scheduledFor: accountDeletionDate(user)
+      });
     }
-    
-    // Delete Stripe customer if exists
-    if (user.customerId) {
-      try {
-        await stripeClient.customers.del(user.customerId);
-        console.log(`Stripe customer ${user.customerId} deleted for user ${user.email}`);
-      } catch (err) {
-        console.error(`Error deleting Stripe customer: ${err.message}`);
-        // Continue with deletion even if customer deletion fails
-      }
+
+    user.accountDeletionRequested = true;
+    user.accountDeletionRequestedAt = new Date();
+    user.accountDeletionReason = deleteReason || null;
+
+    // Without a grace period the account goes right away
+    if (ACCOUNT_DELETION_GRACE_DAYS <= 0) {
+      await purgeUserAccount(user);
+      return res.status(200).json({ 
+        message: 'User account deleted successfully' 
+      });
     }
-    
-    // Create an anonymous record of the deletion if reason provided
-    if (deleteReason) {
-      await DeletedUserFeedback.create({
-        reason: deleteReason,
-        hadSubscription: !!user.subscriptionId,
-        email: user.email.slice(0, 3) + '***@***' + user.email.split('@')[1].slice(-3), // Anonymized email
-        createdAt: new Date()
+
+    // Stop the subscription from renewing during the grace period
+    if (user.subscriptionId && 
+        ['active', 'trialing', 'past_due'].includes(user.subscriptionStatus) && 
+        !user.cancelAtPeriodEnd) {
+      await stripeClient.subscriptions.update(user.subscriptionId, {
+        cancel_at_period_end: true
       });
+      user.cancelAtPeriodEnd = true;
+      user.accountDeletionStoppedRenewal = true;
+    }
+
+    await user.save();
+
+    const scheduledFor = accountDeletionDate(user);
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Your account is scheduled for deletion',
+        text: `Your account will be deleted on ${scheduledFor.toUTCString()}. If you change your mind, log in and cancel the deletion before then.`
+      });
+    } catch (err) {
+      console.error(`Error sending account deletion email: ${err.message}`);
     }
-    
-    // Delete the user from the database
-    await User.findByIdAndDelete(req.user.userId);
     
     res.status(200).json({ 
-      message: 'User account deleted successfully' 
+      message: `Account deletion scheduled. You can cancel it within ${ACCOUNT_DELETION_GRACE_DAYS} days.`,
+      scheduledFor
     });
   } catch (error) {
     console.error('Error deleting user account:', error);
@@ -2240,19 +7603,65 @@ app.delete('/user/account', authenticateToken, async (req, res) => {
   }
 });
 
-// Get plans created by current user
-app.get('/admin/subscription-plans', authenticateToken, async (req, res) => {
+// Cancel Account Deletion API
+app.post('/user/account/cancel-deletion', authenticateToken, async (req, res) => {
   try {
-    // Only allow the current user (assuming they're an admin)
     const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.accountDeletionRequested) {
+      return res.status(400).json({ message: 'No account deletion has been requested' });
+    }
+
+    // Resume the renewal we stopped when the deletion was requested
+    if (user.accountDeletionStoppedRenewal && user.subscriptionId && user.subscriptionStatus !== 'canceled') {
+      await stripeClient.subscriptions.update(user.subscriptionId, {
+        cancel_at_period_end: false
+      });
+      user.cancelAtPeriodEnd = false;
+    }
+
+    user.accountDeletionRequested = false;
+    user.accountDeletionRequestedAt = null;
+    user.accountDeletionReason = null;
+    user.accountDeletionStoppedRenewal = false;
+    await user.save();
+
+    res.status(200).json({ message: 'Account deletion canceled' });
+  } catch (error) {
+    console.error('Error canceling account deletion:', error);
+    res.status(500).json({ 
+      message: 'Error canceling account deletion', 
+      error: error.message 
+    });
+  }
+});
+
+// Purge accounts whose deletion grace period has passed
+async function purgeExpiredAccountDeletions() {
+  const cutoff = new Date(Date.now() - ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  const users = await User.find({
+    accountDeletionRequested: true,
+    accountDeletionRequestedAt: { $lte: cutoff }
+  });
+
+  for (const user of users) {
+    try {
+      await purgeUserAccount(user);
+      console.log(`Purged account ${user._id} after deletion grace period`);
+    } catch (err) {
+      console.error(`Error purging account ${user._id}: ${err.message}`);
     }
+  }
+}
 
-    // Get all plans created by this user
-    const plans = await SubscriptionPlan.find({ 
-      createdBy: user._id 
-    }).sort({ createdAt: -1 });
+// List all subscription plans (admin and support)
+app.get('/admin/subscription-plans', authenticateToken, requireRole('billing_admin', 'support'), async (req, res) => {
+  try {
+    // Plans are shared by all admins, whoever created them
+    const plans = await SubscriptionPlan.find({}).sort({ createdAt: -1 });
 
     res.status(200).json({
       count: plans.length,
@@ -2282,26 +7691,16 @@ app.get('/admin/subscription-plans', authenticateToken, async (req, res) => {
 });
 
 // Update subscription plan API
-app.put('/admin/subscription-plans/:planId', authenticateToken, async (req, res) => {
+app.put('/admin/subscription-plans/:planId', authenticateToken, requireRole('billing_admin'), async (req, res) => {
   try {
     const { planId } = req.params;
     
-    // Only allow the current user (assuming they're an admin)
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
-    // Get the plan and check ownership
+    // Plans are shared by all admins, whoever created them
     const plan = await SubscriptionPlan.findById(planId);
     if (!plan) {
       return res.status(404).json({ message: 'Subscription plan not found' });
     }
 
-    if (plan.createdBy.toString() !== user._id.toString()) {
-      return res.status(403).json({ message: 'Unauthorized. You can only edit your own plans.' });
-    }
-
     const { 
       name, 
       description, 
@@ -2360,15 +7759,268 @@ app.put('/admin/subscription-plans/:planId', authenticateToken, async (req, res)
   }
 });
 
-// Seed initial subscription plan (admin only)
-app.post('/admin/seed-default-plan', authenticateToken, async (req, res) => {
+// Create a coupon (admin only). Customers redeem coupons through promotion codes.
+app.post('/admin/coupons', authenticateToken, requireRole('billing_admin'), async (req, res) => {
+  const {
+    name,
+    percentOff,
+    amountOff, // In the smallest currency unit
+    currency,
+    duration = 'once', // For subscriptions; one-off payments are discounted once
+    durationInMonths,
+    maxRedemptions,
+    redeemBy,
+    planIds // Optional - limit the coupon to these subscription plans
+  } = req.body;
+
+  if ((percentOff === undefined) === (amountOff === undefined)) {
+    return res.status(400).json({ message: 'Provide either percentOff or amountOff' });
+  }
+  if (percentOff !== undefined && !(percentOff > 0 && percentOff <= 100)) {
+    return res.status(400).json({ message: 'percentOff must be between 0 and 100' });
+  }
+  if (amountOff !== undefined && (!Number.isInteger(amountOff) || amountOff <= 0 || !currency)) {
+    return res.status(400).json({ message: 'amountOff must be a positive integer amount in the smallest currency unit, with a currency' });
+  }
+  if (!COUPON_DURATIONS.includes(duration)) {
+    return res.status(400).json({ message: `duration must be one of: ${COUPON_DURATIONS.join(', ')}` });
+  }
+  if (duration === 'repeating' && !(Number.isInteger(durationInMonths) && durationInMonths > 0)) {
+    return res.status(400).json({ message: 'durationInMonths is required for repeating coupons' });
+  }
+  if (maxRedemptions !== undefined && !(Number.isInteger(maxRedemptions) && maxRedemptions > 0)) {
+    return res.status(400).json({ message: 'maxRedemptions must be a positive integer' });
+  }
+  if (redeemBy !== undefined && !(new Date(redeemBy) > new Date())) {
+    return res.status(400).json({ message: 'redeemBy must be a date in the future' });
+  }
+
   try {
-    // Only allow admin
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
+    const params = {
+      duration,
+      metadata: { createdBy: req.user.userId }
+    };
+    if (name) params.name = name;
+    if (percentOff !== undefined) {
+      params.percent_off = percentOff;
+    } else {
+      params.amount_off = amountOff;
+      params.currency = currency.toLowerCase();
+    }
+    if (duration === 'repeating') params.duration_in_months = durationInMonths;
+    if (maxRedemptions !== undefined) params.max_redemptions = maxRedemptions;
+    if (redeemBy !== undefined) params.redeem_by = Math.floor(new Date(redeemBy).getTime() / 1000);
+
+    if (planIds !== undefined) {
+      const plans = Array.isArray(planIds) && planIds.every(id => mongoose.Types.ObjectId.isValid(id))
+        ? await SubscriptionPlan.find({ _id: { $in: planIds } })
+        : [];
+      if (plans.length === 0 || plans.length !== planIds.length) {
+        return res.status(400).json({ message: 'planIds must list existing subscription plans' });
+      }
+      params.applies_to = { products: [...new Set(plans.map(plan => plan.productId))] };
+    }
+
+    const coupon = await stripeClient.coupons.create(params);
+
+    await recordAuditLog(req, 'coupon.created', null, { couponId: coupon.id, name: coupon.name });
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon: formatCoupon(coupon)
+    });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    res.status(500).json({ message: 'Error creating coupon', error: error.message });
+  }
+});
+
+// List coupons (admin and support)
+app.get('/admin/coupons', authenticateToken, requireRole('billing_admin', 'support'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  try {
+    const params = { limit };
+    if (req.query.startingAfter) {
+      params.starting_after = req.query.startingAfter;
+    }
+
+    const coupons = await stripeClient.coupons.list(params);
+    const checkoutRedemptions = await countCheckoutRedemptions('couponId', coupons.data.map(coupon => coupon.id));
+
+    res.status(200).json({
+      coupons: coupons.data.map(coupon => ({
+        ...formatCoupon(coupon),
+        checkoutRedemptions: checkoutRedemptions.get(coupon.id) || 0
+      })),
+      hasMore: coupons.has_more
+    });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({ message: 'Error fetching coupons', error: error.message });
+  }
+});
+
+// Rename a coupon; Stripe does not allow changing the discount itself (admin only)
+app.put('/admin/coupons/:couponId', authenticateToken, requireRole('billing_admin'), async (req, res) => {
+  const { name } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ message: 'name is required' });
+  }
+
+  try {
+    const coupon = await stripeClient.coupons.update(req.params.couponId, { name });
+
+    await recordAuditLog(req, 'coupon.updated', null, { couponId: coupon.id, name });
+
+    res.status(200).json({
+      message: 'Coupon updated successfully',
+      coupon: formatCoupon(coupon)
+    });
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    res.status(500).json({ message: 'Error updating coupon', error: error.message });
+  }
+});
+
+// Delete a coupon. Its promotion codes stop working; subscriptions that already
+// have the discount keep it (admin only)
+app.delete('/admin/coupons/:couponId', authenticateToken, requireRole('billing_admin'), async (req, res) => {
+  try {
+    await stripeClient.coupons.del(req.params.couponId);
+
+    await recordAuditLog(req, 'coupon.deleted', null, { couponId: req.params.couponId });
+
+    res.status(200).json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({ message: 'Error deleting coupon', error: error.message });
+  }
+});
+
+// Create a customer-facing promotion code for a coupon (admin only)
+app.post('/admin/promotion-codes', authenticateToken, requireRole('billing_admin'), async (req, res) => {
+  const {
+    couponId,
+    code,
+    maxRedemptions,
+    expiresAt,
+    firstTimeOnly = false,
+    minimumAmount, // In the smallest currency unit
+    minimumAmountCurrency,
+    active = true
+  } = req.body;
+
+  if (!couponId || !code) {
+    return res.status(400).json({ message: 'couponId and code are required' });
+  }
+  if (!/^[a-zA-Z0-9_-]{3,50}$/.test(code)) {
+    return res.status(400).json({ message: 'code must be 3-50 letters, digits, dashes or underscores' });
+  }
+  if (maxRedemptions !== undefined && !(Number.isInteger(maxRedemptions) && maxRedemptions > 0)) {
+    return res.status(400).json({ message: 'maxRedemptions must be a positive integer' });
+  }
+  if (expiresAt !== undefined && !(new Date(expiresAt) > new Date())) {
+    return res.status(400).json({ message: 'expiresAt must be a date in the future' });
+  }
+  if (minimumAmount !== undefined && (!Number.isInteger(minimumAmount) || minimumAmount <= 0 || !minimumAmountCurrency)) {
+    return res.status(400).json({ message: 'minimumAmount must be a positive integer amount in the smallest currency unit, with minimumAmountCurrency' });
+  }
+
+  try {
+    const params = {
+      coupon: couponId,
+      code: code.toUpperCase(),
+      active,
+      restrictions: { first_time_transaction: firstTimeOnly === true },
+      metadata: { createdBy: req.user.userId }
+    };
+    if (maxRedemptions !== undefined) params.max_redemptions = maxRedemptions;
+    if (expiresAt !== undefined) params.expires_at = Math.floor(new Date(expiresAt).getTime() / 1000);
+    if (minimumAmount !== undefined) {
+      params.restrictions.minimum_amount = minimumAmount;
+      params.restrictions.minimum_amount_currency = minimumAmountCurrency.toLowerCase();
     }
 
+    const promotionCode = await stripeClient.promotionCodes.create(params);
+
+    await recordAuditLog(req, 'promotion_code.created', null, {
+      promotionCodeId: promotionCode.id,
+      code: promotionCode.code,
+      couponId
+    });
+
+    res.status(201).json({
+      message: 'Promotion code created successfully',
+      promotionCode: formatPromotionCode(promotionCode)
+    });
+  } catch (error) {
+    console.error('Error creating promotion code:', error);
+    res.status(500).json({ message: 'Error creating promotion code', error: error.message });
+  }
+});
+
+// List promotion codes, optionally by coupon, code or active state (admin and support)
+app.get('/admin/promotion-codes', authenticateToken, requireRole('billing_admin', 'support'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  try {
+    const params = { limit };
+    if (req.query.couponId) params.coupon = req.query.couponId;
+    if (req.query.code) params.code = req.query.code;
+    if (req.query.active !== undefined) params.active = req.query.active === 'true';
+    if (req.query.startingAfter) params.starting_after = req.query.startingAfter;
+
+    const promotionCodes = await stripeClient.promotionCodes.list(params);
+    const checkoutRedemptions = await countCheckoutRedemptions(
+      'promotionCodeId',
+      promotionCodes.data.map(promotionCode => promotionCode.id)
+    );
+
+    res.status(200).json({
+      promotionCodes: promotionCodes.data.map(promotionCode => ({
+        ...formatPromotionCode(promotionCode),
+        checkoutRedemptions: checkoutRedemptions.get(promotionCode.id) || 0
+      })),
+      hasMore: promotionCodes.has_more
+    });
+  } catch (error) {
+    console.error('Error fetching promotion codes:', error);
+    res.status(500).json({ message: 'Error fetching promotion codes', error: error.message });
+  }
+});
+
+// Activate or deactivate a promotion code (admin only)
+app.put('/admin/promotion-codes/:promotionCodeId', authenticateToken, requireRole('billing_admin'), async (req, res) => {
+  const { active } = req.body;
+
+  if (typeof active !== 'boolean') {
+    return res.status(400).json({ message: 'active must be a boolean' });
+  }
+
+  try {
+    const promotionCode = await stripeClient.promotionCodes.update(req.params.promotionCodeId, { active });
+
+    await recordAuditLog(req, 'promotion_code.updated', null, {
+      promotionCodeId: promotionCode.id,
+      code: promotionCode.code,
+      active
+    });
+
+    res.status(200).json({
+      message: 'Promotion code updated successfully',
+      promotionCode: formatPromotionCode(promotionCode)
+    });
+  } catch (error) {
+    console.error('Error updating promotion code:', error);
+    res.status(500).json({ message: 'Error updating promotion code', error: error.message });
+  }
+});
+
+// Seed initial subscription plan (admin only)
+app.post('/admin/seed-default-plan', authenticateToken, requireRole(), async (req, res) => {
+  try {
     // Check if any plans exist
     const existingPlans = await SubscriptionPlan.countDocuments();
     if (existingPlans > 0) {
@@ -2417,7 +8069,7 @@ app.post('/admin/seed-default-plan', authenticateToken, async (req, res) => {
         active: true,
         metadata: {
           features: JSON.stringify(planData.features),
-          createdBy: user._id.toString()
+          createdBy: req.user.userId
         }
       });
 
@@ -2444,7 +8096,7 @@ app.post('/admin/seed-default-plan', authenticateToken, async (req, res) => {
         intervalCount: 1,
         features: planData.features,
         active: true,
-        createdBy: user._id
+        createdBy: req.user.userId
       });
 
       createdPlans.push({
@@ -2456,7 +8108,7 @@ app.post('/admin/seed-default-plan', authenticateToken, async (req, res) => {
 
       // Add to user's created plans
       await User.findByIdAndUpdate(
-        user._id,
+        req.user.userId,
         { $push: { createdSubscriptionPlans: newPlan._id } }
       );
     }
@@ -2647,14 +8299,8 @@ app.get('/invoices', authenticateToken,  async (req, res) => {
 // Add these invoice APIs before your app.listen line
 
 // 1. Create a draft invoice (Admin only)
-app.post('/admin/invoices/draft', authenticateToken, async (req, res) => {
+app.post('/admin/invoices/draft', authenticateToken, requireRole('billing_admin'), async (req, res) => {
   try {
-    // Verify admin user
-    const admin = await User.findById(req.user.userId);
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
     const { 
       customerEmail,
       description,
@@ -2713,7 +8359,7 @@ app.post('/admin/invoices/draft', authenticateToken, async (req, res) => {
       description: description,
       metadata: {
         ...metadata,
-        createdBy: admin._id.toString()
+        createdBy: req.user.userId
       }
     };
 
@@ -2753,14 +8399,8 @@ app.post('/admin/invoices/draft', authenticateToken, async (req, res) => {
 });
 
 // 2. Finalize a draft invoice (Admin only)
-app.post('/admin/invoices/:invoiceId/finalize', authenticateToken, async (req, res) => {
+app.post('/admin/invoices/:invoiceId/finalize', authenticateToken, requireRole('billing_admin'), async (req, res) => {
   try {
-    // Verify admin user
-    const admin = await User.findById(req.user.userId);
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
     const { invoiceId } = req.params;
 
     // Retrieve the invoice
@@ -2797,14 +8437,8 @@ app.post('/admin/invoices/:invoiceId/finalize', authenticateToken, async (req, r
 });
 
 // 3. Add invoice items to a draft invoice (Admin only)
-app.post('/admin/invoices/:invoiceId/items', authenticateToken, async (req, res) => {
+app.post('/admin/invoices/:invoiceId/items', authenticateToken, requireRole('billing_admin'), async (req, res) => {
   try {
-    // Verify admin user
-    const admin = await User.findById(req.user.userId);
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
     const { invoiceId } = req.params;
     const { items } = req.body;
 
@@ -2865,14 +8499,8 @@ app.post('/admin/invoices/:invoiceId/items', authenticateToken, async (req, res)
 });
 
 // 4. Delete an invoice item (Admin only)
-app.delete('/admin/invoice-items/:itemId', authenticateToken, async (req, res) => {
+app.delete('/admin/invoice-items/:itemId', authenticateToken, requireRole('billing_admin'), async (req, res) => {
   try {
-    // Verify admin user
-    const admin = await User.findById(req.user.userId);
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
     const { itemId } = req.params;
 
     // Delete the invoice item
@@ -2892,14 +8520,8 @@ app.delete('/admin/invoice-items/:itemId', authenticateToken, async (req, res) =
 });
 
 // 5. Update customer billing details for an invoice
-app.put('/admin/invoices/:invoiceId/customer-details', authenticateToken, async (req, res) => {
+app.put('/admin/invoices/:invoiceId/customer-details', authenticateToken, requireRole('billing_admin'), async (req, res) => {
   try {
-    // Verify admin user
-    const admin = await User.findById(req.user.userId);
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
     const { invoiceId } = req.params;
     const { 
       name,
@@ -2949,14 +8571,8 @@ app.put('/admin/invoices/:invoiceId/customer-details', authenticateToken, async
 });
 
 // 6. Send invoice reminder (Admin only)
-app.post('/admin/invoices/:invoiceId/send-reminder', authenticateToken, async (req, res) => {
+app.post('/admin/invoices/:invoiceId/send-reminder', authenticateToken, requireRole('billing_admin'), async (req, res) => {
   try {
-    // Verify admin user
-    const admin = await User.findById(req.user.userId);
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
     const { invoiceId } = req.params;
 
     // Retrieve the invoice
@@ -3034,14 +8650,8 @@ app.get('/invoices/unpaid', authenticateToken, async (req, res) => {
 });
 
 // 8. Update invoice metadata (Admin only)
-app.put('/admin/invoices/:invoiceId/metadata', authenticateToken, async (req, res) => {
+app.put('/admin/invoices/:invoiceId/metadata', authenticateToken, requireRole('billing_admin'), async (req, res) => {
   try {
-    // Verify admin user
-    const admin = await User.findById(req.user.userId);
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
     const { invoiceId } = req.params;
     const { metadata } = req.body;
 
@@ -3053,7 +8663,7 @@ app.put('/admin/invoices/:invoiceId/metadata', authenticateToken, async (req, re
     const updatedInvoice = await stripeClient.invoices.update(invoiceId, {
       metadata: {
         ...metadata,
-        updatedBy: admin._id.toString(),
+        updatedBy: req.user.userId,
         updatedAt: new Date().toISOString()
       }
     });
@@ -3076,14 +8686,8 @@ app.put('/admin/invoices/:invoiceId/metadata', authenticateToken, async (req, re
 });
 
 // 9. Search invoices (Admin only)
-app.get('/admin/invoices/search', authenticateToken, async (req, res) => {
+app.get('/admin/invoices/search', authenticateToken, requireRole('billing_admin', 'support'), async (req, res) => {
   try {
-    // Verify admin user
-    const admin = await User.findById(req.user.userId);
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
     const { 
       query, 
       status, 
@@ -3282,14 +8886,8 @@ app.get('/invoices/:invoiceId/download', authenticateToken, async (req, res) =>
 });
 
 // 2. Detailed Invoice Statistics for Admin
-app.get('/admin/statistics/invoices', authenticateToken, async (req, res) => {
+app.get('/admin/statistics/invoices', authenticateTokenOrApiKey('stats:read'), requireRole('billing_admin', 'finance'), async (req, res) => {
   try {
-    // Verify admin user
-    const admin = await User.findById(req.user.userId);
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
     const { 
       period = '30days', // Options: 7days, 30days, 90days, year, all
       currency = 'usd'
@@ -3418,14 +9016,8 @@ app.get('/admin/statistics/invoices', authenticateToken, async (req, res) => {
 });
 
 // 3. Comprehensive Payment Transaction Statistics for Admin
-app.get('/admin/statistics/transactions', authenticateToken, async (req, res) => {
-  try {
-    // Verify admin user
-    const admin = await User.findById(req.user.userId);
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
+app.get('/admin/statistics/transactions', authenticateTokenOrApiKey('stats:read'), requireRole('billing_admin', 'finance'), async (req, res) => {
+  try {
     const { 
       period = '30days', // Options: 7days, 30days, 90days, year, all
       currency = 'usd'
@@ -3669,7 +9261,7 @@ app.get('/admin/statistics/transactions', authenticateToken, async (req, res) =>
 });
 
 // 4. User Transaction History Statistics
-app.get('/statistics/transactions', authenticateToken, async (req, res) => {
+app.get('/statistics/transactions', authenticateTokenOrApiKey('stats:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user) {
@@ -3682,26 +9274,30 @@ app.get('/statistics/transactions', authenticateToken, async (req, res) => {
     // Get orders for the user
     const orders = user.orders || [];
 
+    // Refunded payments were paid first; refunds are subtracted from the spending
+    const paidPayments = paymentHistory.filter(p => p.type === 'payment' &&
+      (p.status === 'succeeded' || REFUNDED_STATUSES.includes(p.status)));
+
+    // Store credit added to and taken from the customer balance
+    const balanceEntries = paymentHistory.filter(p => p.type !== 'payment');
+    const sumBalance = type => balanceEntries
+      .filter(p => p.type === type)
+      .reduce((sum, entry) => sum + entry.amount, 0) / 100;
+
     // Calculate total spent
-    const totalSpent = paymentHistory.reduce((sum, payment) => {
-      if (payment.status === 'succeeded') {
-        return sum + payment.amount;
-      }
-      return sum;
-    }, 0) / 100;
+    const totalRefunded = paidPayments.reduce((sum, payment) => sum + (payment.amountRefunded || 0), 0) / 100;
+    const totalSpent = paidPayments.reduce((sum, payment) => sum + payment.amount, 0) / 100 - totalRefunded;
 
     // Group payments by month
     const monthlySpending = {};
-    paymentHistory.forEach(payment => {
-      if (payment.status === 'succeeded') {
-        const date = new Date(payment.createdAt);
-        const monthYear = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
-        
-        if (!monthlySpending[monthYear]) {
-          monthlySpending[monthYear] = 0;
-        }
-        monthlySpending[monthYear] += payment.amount / 100;
+    paidPayments.forEach(payment => {
+      const date = new Date(payment.createdAt);
+      const monthYear = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
+      
+      if (!monthlySpending[monthYear]) {
+        monthlySpending[monthYear] = 0;
       }
+      monthlySpending[monthYear] += (payment.amount - (payment.amountRefunded || 0)) / 100;
     });
 
     // Convert to array and sort
@@ -3716,7 +9312,8 @@ app.get('/statistics/transactions', authenticateToken, async (req, res) => {
     const statistics = {
       overview: {
         totalSpent,
-        paymentCount: paymentHistory.filter(p => p.status === 'succeeded').length,
+        totalRefunded,
+        paymentCount: paidPayments.length,
         orderCount: orders.length,
         hasSubscription: hasActiveSubscription,
         subscriptionStatus: user.subscriptionStatus,
@@ -3724,19 +9321,38 @@ app.get('/statistics/transactions', authenticateToken, async (req, res) => {
           orders.reduce((sum, order) => sum + order.totalAmount, 0) / 100 / orders.length : 0
       },
       spendingTrend,
+      storeCredit: {
+        totalCredited: sumBalance('balance_credit'),
+        totalDebited: sumBalance('balance_debit'),
+        // Credit that paid for orders, on top of totalSpent
+        usedForOrders: balanceEntries
+          .filter(p => p.type === 'balance_debit' && p.orderId)
+          .reduce((sum, entry) => sum + entry.amount, 0) / 100,
+        recentEntries: balanceEntries
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+          .slice(0, 5)
+          .map(entry => ({
+            date: entry.createdAt,
+            type: entry.type === 'balance_credit' ? 'credit' : 'debit',
+            amount: entry.amount / 100,
+            currency: entry.currency,
+            description: entry.description
+          }))
+      },
       paymentMethods: user.paymentMethods.map(pm => ({
         id: pm.paymentMethodId,
         brand: pm.brand,
         last4: pm.last4,
         isDefault: pm.isDefault
       })),
-      recentPayments: paymentHistory
-        .filter(p => p.status === 'succeeded')
+      recentPayments: paidPayments
         .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
         .slice(0, 5)
         .map(payment => ({
           date: payment.createdAt,
           amount: payment.amount / 100,
+          amountRefunded: (payment.amountRefunded || 0) / 100,
+          status: payment.status,
           currency: payment.currency,
           method: `${payment.paymentMethodLast4 ? '•••• ' + payment.paymentMethodLast4 : 'Unknown'}`
         }))
@@ -3753,14 +9369,8 @@ app.get('/statistics/transactions', authenticateToken, async (req, res) => {
 });
 
 // 5. Revenue Dashboard API for Admin
-app.get('/admin/dashboard/revenue', authenticateToken, async (req, res) => {
+app.get('/admin/dashboard/revenue', authenticateTokenOrApiKey('stats:read'), requireRole('billing_admin', 'finance'), async (req, res) => {
   try {
-    // Verify admin user
-    const admin = await User.findById(req.user.userId);
-    if (!admin || admin.role !== 'admin') {
-      return res.status(403).json({ message: 'Unauthorized. Admin access required.' });
-    }
-
     // Calculate date ranges
     const now = Math.floor(Date.now() / 1000);
     const today = now - (now % 86400); // Start of today
@@ -3905,13 +9515,13 @@ app.get('/admin/dashboard/revenue', authenticateToken, async (req, res) => {
 });
 
 // Create a Payment Intent with multiple payment method options
-app.post('/create-payment-intent-multi', authenticateToken, async (req, res) => {
+app.post('/create-payment-intent-multi', authenticateTokenOrApiKey('payments:write'), blockPendingDeletion, idempotent, async (req, res) => {
   try {
     const { 
       amount, 
       currency = 'usd', 
       description,
-      paymentMethods = ['card', 'apple_pay', 'google_pay', 'amazon_pay'],
+      paymentMethods: requestedPaymentMethods,
       metadata = {},
       shippingOptions = []
     } = req.body;
@@ -3929,8 +9539,25 @@ app.post('/create-payment-intent-multi', authenticateToken, async (req, res) =>
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Bank debits and redirects depend on the currency and the customer's country; by
+    // default every one that is available is offered next to the wallets
+    const allowedTypes = getAllowedPaymentMethodTypes(currency, getPaymentCountry(user));
+    const paymentMethods = requestedPaymentMethods ||
+      ['card', 'apple_pay', 'google_pay', 'amazon_pay', ...allowedTypes.filter(type => type !== 'card')];
+    if (!Array.isArray(paymentMethods)) {
+      return res.status(400).json({ message: 'paymentMethods must be an array' });
+    }
+    const unavailablePaymentMethods = paymentMethods
+      .filter(method => NON_CARD_PAYMENT_METHODS[method] && !allowedTypes.includes(method));
+    if (unavailablePaymentMethods.length > 0) {
+      return res.status(400).json({
+        message: `Payment methods not available for this payment: ${unavailablePaymentMethods.join(', ')}`,
+        allowedPaymentMethodTypes: allowedTypes
+      });
+    }
+
     // Configure payment methods
-    const paymentMethodTypes = [];
+    const paymentMethodTypes = paymentMethods.filter(method => NON_CARD_PAYMENT_METHODS[method]);
     const paymentMethodOptions = {};
     
     // Add payment methods based on what's requested
@@ -3965,6 +9592,10 @@ app.post('/create-payment-intent-multi', authenticateToken, async (req, res) =>
       metadata.amazon_pay_enabled = 'true'; // You'll handle Amazon Pay in your frontend
     }
 
+    if (paymentMethodTypes.length === 0) {
+      return res.status(400).json({ message: 'No supported payment methods requested' });
+    }
+
     // Create payment intent with requested payment methods
     const paymentIntentParams = {
       amount: amountInCents,
@@ -4002,7 +9633,10 @@ app.post('/create-payment-intent-multi', authenticateToken, async (req, res) =>
     }
 
     // Create the payment intent
-    const paymentIntent = await stripeClient.paymentIntents.create(paymentIntentParams);
+    const paymentIntent = await stripeClient.paymentIntents.create(
+      paymentIntentParams,
+      stripeIdempotencyOptions(req, 'payment-intent')
+    );
 
     // Generate payment configuration for various wallets
     const paymentConfig = {
@@ -4011,6 +9645,8 @@ app.post('/create-payment-intent-multi', authenticateToken, async (req, res) =>
       amount: amountInCents / 100,
       currency,
       supportedPaymentMethods: paymentMethods,
+      // Redirect methods (iDEAL, Bancontact) are confirmed by the client with this return URL
+      returnUrl: PAYMENT_RETURN_URL,
       customer: {
         id: user.customerId,
         email: user.email
@@ -4141,8 +9777,593 @@ app.post('/payment-methods/validate', authenticateToken, async (req, res) => {
   }
 });
 
+// Shape a user document for the admin API, leaving out credentials and tokens
+function formatAdminUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    phoneNumber: user.phoneNumber,
+    customerId: user.customerId,
+    role: user.role,
+    active: user.active,
+    suspendedAt: user.suspendedAt,
+    suspensionReason: user.suspensionReason,
+    isEmailVerified: user.isEmailVerified,
+    mfaEnabled: user.mfaEnabled,
+    subscriptionId: user.subscriptionId,
+    subscriptionStatus: user.subscriptionStatus,
+    subscriptionPeriodEnd: user.subscriptionPeriodEnd,
+    lastLogin: user.lastLogin,
+    failedLoginAttempts: user.failedLoginAttempts || 0,
+    lastFailedLoginAt: user.lastFailedLoginAt || null,
+    lockedUntil: user.lockedUntil && user.lockedUntil > new Date() ? user.lockedUntil : null,
+    createdAt: user.createdAt
+  };
+}
+
+// The first of `names` given in the query string as something other than a single
+// string (e.g. ?role[$ne]=x or ?role=a&role=b), or undefined
+function findNonStringQueryParam(query, names) {
+  return names.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+}
+
+// Search users (admin and support)
+app.get('/admin/users', authenticateToken, requireRole('support', 'billing_admin'), async (req, res) => {
+  const invalidParam = findNonStringQueryParam(req.query, ['email', 'customerId', 'subscriptionStatus', 'role', 'active']);
+  if (invalidParam) {
+    return res.status(400).json({ message: `${invalidParam} must be a single value` });
+  }
+
+  try {
+    const { 
+      email, 
+      customerId, 
+      subscriptionStatus, 
+      role,
+      active,
+      page = 1, 
+      limit = 25 
+    } = req.query;
+
+    const filter = {};
+    if (email) {
+      // Partial, case-insensitive match on the email address
+      const escapedEmail = email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.email = { $regex: escapedEmail, $options: 'i' };
+    }
+    if (customerId) filter.customerId = customerId;
+    if (subscriptionStatus) filter.subscriptionStatus = subscriptionStatus;
+    if (role) filter.role = role;
+    if (active !== undefined) filter.active = active === 'true';
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 25, 1), 100); // Cap at 100 results
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password -emailVerificationToken -pendingEmailVerificationToken -passwordResetToken -passwordResetExpires')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      users: users.map(formatAdminUser),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Error searching users:', error);
+    res.status(500).json({ 
+      message: 'Error searching users', 
+      error: error.message 
+    });
+  }
+});
+
+// Get user details (admin and support)
+app.get('/admin/users/:userId', authenticateToken, requireRole('support', 'billing_admin'), validateUserIdParam, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const recentAuditLogs = await AuditLog.find({ targetUserId: user._id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      user: {
+        ...formatAdminUser(user),
+        defaultPaymentMethodId: user.defaultPaymentMethodId,
+        cancelAtPeriodEnd: user.cancelAtPeriodEnd,
+        subscriptionBillingDetails: user.subscriptionBillingDetails,
+        accountDeletionRequested: user.accountDeletionRequested,
+        addresses: user.addresses,
+        orderCount: user.orders.length,
+        recentOrders: [...user.orders]
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+          .slice(0, 10)
+          .map(order => ({
+            orderId: order.orderId,
+            totalAmount: order.totalAmount,
+            currency: order.currency,
+            status: order.status,
+            createdAt: order.createdAt
+          })),
+        recentPayments: [...user.paymentHistory]
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+          .slice(0, 10)
+          .map(payment => ({
+            paymentIntentId: payment.paymentIntentId,
+            amount: payment.amount,
+            currency: payment.currency,
+            status: payment.status,
+            date: payment.createdAt
+          }))
+      },
+      auditLog: recentAuditLogs.map(entry => ({
+        action: entry.action,
+        actorId: entry.actorId,
+        details: entry.details,
+        createdAt: entry.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching user details:', error);
+    res.status(500).json({ 
+      message: 'Error fetching user details', 
+      error: error.message 
+    });
+  }
+});
+
+// Suspend a user (admin only)
+app.post('/admin/users/:userId/suspend', authenticateToken, requireRole(), validateUserIdParam, async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.toString() === req.user.userId) {
+      return res.status(400).json({ message: 'You cannot suspend your own account' });
+    }
+
+    if (!user.active) {
+      return res.status(400).json({ message: 'User is already suspended' });
+    }
+
+    user.active = false;
+    user.suspendedAt = new Date();
+    user.suspensionReason = reason || null;
+    await user.save();
+
+    // Block existing access tokens right away and end all sessions
+    await redisSet(`auth:suspended:${user._id}`, '1');
+    await revokeUserTokens(user._id, 'suspended');
+
+    await recordAuditLog(req, 'user.suspended', user._id, { reason });
+
+    res.status(200).json({
+      message: 'User suspended successfully',
+      user: formatAdminUser(user)
+    });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({ 
+      message: 'Error suspending user', 
+      error: error.message 
+    });
+  }
+});
+
+// Reactivate a suspended user (admin only)
+app.post('/admin/users/:userId/reactivate', authenticateToken, requireRole(), validateUserIdParam, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.active) {
+      return res.status(400).json({ message: 'User is not suspended' });
+    }
+
+    user.active = true;
+    user.suspendedAt = null;
+    user.suspensionReason = null;
+    await user.save();
+
+    await redisDel(`auth:suspended:${user._id}`);
+
+    await recordAuditLog(req, 'user.reactivated', user._id);
+
+    res.status(200).json({
+      message: 'User reactivated successfully',
+      user: formatAdminUser(user)
+    });
+  } catch (error) {
+    console.error('Error reactivating user:', error);
+    res.status(500).json({ 
+      message: 'Error reactivating user', 
+      error: error.message 
+    });
+  }
+});
+
+// Clear failed login counters and lockout (admin only)
+app.post('/admin/users/:userId/unlock', authenticateToken, requireRole('billing_admin'), validateUserIdParam, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousAttempts = user.failedLoginAttempts || 0;
+    await clearFailedLogins(user.email, user);
+
+    await recordAuditLog(req, 'user.login.unlocked', user._id, { failedLoginAttempts: previousAttempts });
+
+    res.status(200).json({
+      message: 'User login unlocked successfully',
+      user: formatAdminUser(user)
+    });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ 
+      message: 'Error unlocking user', 
+      error: error.message 
+    });
+  }
+});
+
+// Reset two-factor authentication of a user who lost their device and recovery codes (admin only)
+app.post('/admin/users/:userId/mfa/reset', authenticateToken, requireRole(), validateUserIdParam, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.mfaEnabled && !user.mfaSecret) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    user.mfaEnabled = false;
+    user.mfaSecret = null;
+    user.mfaEnabledAt = null;
+    user.mfaRecoveryCodes = [];
+    await user.save();
+
+    // Sessions opened with the old factor should not outlive the reset
+    await revokeUserTokens(user._id, 'mfa_reset');
+
+    await recordAuditLog(req, 'user.mfa.reset', user._id, { reason: req.body.reason || null });
+
+    res.status(200).json({
+      message: 'Two-factor authentication reset successfully',
+      user: formatAdminUser(user)
+    });
+  } catch (error) {
+    console.error('Error resetting MFA:', error);
+    res.status(500).json({ 
+      message: 'Error resetting MFA', 
+      error: error.message 
+    });
+  }
+});
+
+// List a user's sessions and login history (admin and support)
+app.get('/admin/users/:userId/sessions', authenticateToken, requireRole('support', 'billing_admin'), validateUserIdParam, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('_id lastLogin');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await findUserSessions(user._id, req.query);
+
+    res.status(200).json({
+      lastLogin: user.lastLogin,
+      sessions: sessions.map(session => formatSession(session))
+    });
+  } catch (error) {
+    console.error('Error fetching user sessions:', error);
+    res.status(500).json({ 
+      message: 'Error fetching user sessions', 
+      error: error.message 
+    });
+  }
+});
+
+// Revoke one of a user's sessions (admin and support)
+app.delete('/admin/users/:userId/sessions/:sessionId', authenticateToken, requireRole('support', 'billing_admin'), validateUserIdParam, async (req, res) => {
+  try {
+    const session = await Session.findOne({ sessionId: req.params.sessionId, userId: req.params.userId });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session.userId, session.sessionId, 'admin');
+
+    await recordAuditLog(req, 'user.session.revoked', session.userId, {
+      sessionId: session.sessionId,
+      reason: req.body.reason || null
+    });
+
+    res.status(200).json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking user session:', error);
+    res.status(500).json({ 
+      message: 'Error revoking user session', 
+      error: error.message 
+    });
+  }
+});
+
+// Impersonate a user with a short-lived, read-only token (admin and support)
+app.post('/admin/users/:userId/impersonate', authenticateToken, requireRole('support'), validateUserIdParam, async (req, res) => {
+  const { reason } = req.body;
+
+  if (req.user.impersonatorId) {
+    return res.status(400).json({ message: 'Cannot impersonate from an impersonation session' });
+  }
+
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Impersonating staff accounts would hand out their admin access
+    if (user.role !== 'user') {
+      return res.status(403).json({ message: 'Only customer accounts can be impersonated' });
+    }
+
+    // Like a login, impersonation opens a session, so it ends with the user's or the
+    // impersonator's sessions (logout everywhere, suspension, revocation)
+    const expiresIn = process.env.IMPERSONATION_TOKEN_EXPIRES_IN || '15m';
+    const sessionId = crypto.randomUUID();
+    const token = jwt.sign(
+      {
+        userId: user._id,
+        email: user.email,
+        customerId: user.customerId,
+        role: user.role,
+        sid: sessionId,
+        impersonatorId: req.user.userId,
+        readOnly: true
+      },
+      process.env.JWT_SECRET_KEY,
+      { expiresIn }
+    );
+    const { iat, exp } = jwt.decode(token);
+
+    await redisSet(
+      `auth:session:${sessionId}`,
+      JSON.stringify({ userId: user._id.toString(), impersonatorId: req.user.userId, createdAt: Date.now() }),
+      'EX',
+      exp - iat
+    );
+    for (const indexedUserId of [user._id, req.user.userId]) {
+      await redisSadd(`auth:user-sessions:${indexedUserId}`, sessionId);
+      await redisExpire(`auth:user-sessions:${indexedUserId}`, REFRESH_TOKEN_TTL_SECONDS);
+    }
+    await Session.create({
+      sessionId,
+      userId: user._id,
+      impersonatorId: req.user.userId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null,
+      expiresAt: new Date(exp * 1000)
+    });
+
+    await recordAuditLog(req, 'user.impersonation.started', user._id, { reason, expiresIn, sessionId });
+
+    res.status(200).json({
+      message: 'Impersonation token issued',
+      token,
+      expiresIn,
+      readOnly: true,
+      user: formatAdminUser(user)
+    });
+  } catch (error) {
+    console.error('Error impersonating user:', error);
+    res.status(500).json({ 
+      message: 'Error impersonating user', 
+      error: error.message 
+    });
+  }
+});
+
+// Get the audit log (admin only)
+app.get('/admin/audit-logs', authenticateToken, requireRole(), async (req, res) => {
+  const invalidParam = findNonStringQueryParam(req.query, ['targetUserId', 'actorId', 'action']);
+  if (invalidParam) {
+    return res.status(400).json({ message: `${invalidParam} must be a single value` });
+  }
+  for (const name of ['targetUserId', 'actorId']) {
+    if (req.query[name] && !mongoose.Types.ObjectId.isValid(req.query[name])) {
+      return res.status(400).json({ message: `${name} must be a valid user ID` });
+    }
+  }
+
+  try {
+    const { targetUserId, actorId, action, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (targetUserId) filter.targetUserId = targetUserId;
+    if (actorId) filter.actorId = actorId;
+    if (action) filter.action = action;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100); // Cap at 100 results
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      auditLog: entries.map(entry => ({
+        id: entry._id,
+        action: entry.action,
+        actorId: entry.actorId,
+        targetUserId: entry.targetUserId,
+        details: entry.details,
+        ipAddress: entry.ipAddress,
+        createdAt: entry.createdAt
+      })),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ 
+      message: 'Error fetching audit log', 
+      error: error.message 
+    });
+  }
+});
+
+// Change a user's role (admin only)
+app.put('/admin/users/:userId/role', authenticateToken, requireRole(), validateUserIdParam, async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  const validRoles = User.schema.path('role').enumValues;
+  if (!validRoles.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${validRoles.join(', ')}` });
+  }
+
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user._id.toString() === req.user.userId && role !== 'admin') {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    // Access tokens carry the role claim; make the user's clients refresh to pick up the change
+    if (previousRole !== role) {
+      await invalidateAccessTokens(user._id);
+      await recordAuditLog(req, 'user.role.changed', user._id, { previousRole, role });
+    }
+
+    res.status(200).json({
+      message: 'User role updated successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        previousRole
+      }
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({ 
+      message: 'Error updating user role', 
+      error: error.message 
+    });
+  }
+});
+
+// Run a background job at startup and then every intervalMs. Across app instances
+// the job runs once per interval, and never twice at the same time: the running lock
+// is renewed for as long as the job takes.
+const JOB_LOCK_SECONDS = 60;
+
+function scheduleJob(name, intervalMs, job) {
+  const lockKey = `jobs:running:${name}`;
+
+  const run = async () => {
+    let lock = null;
+    let renewal = null;
+    try {
+      lock = await acquireLock(lockKey, JOB_LOCK_SECONDS);
+      if (!lock) return;
+
+      const intervalSeconds = Math.max(Math.floor(intervalMs / 1000) - 1, 1);
+      const due = await redisSet(`jobs:last-run:${name}`, new Date().toISOString(), 'NX', 'EX', intervalSeconds);
+      if (!due) return;
+
+      renewal = setInterval(() => {
+        renewLock(lockKey, lock, JOB_LOCK_SECONDS).catch(err => {
+          console.error(`Error renewing lock of job ${name}: ${err.message}`);
+        });
+      }, (JOB_LOCK_SECONDS / 2) * 1000);
+
+      await job();
+    } catch (err) {
+      console.error(`Scheduled job ${name} failed: ${err.message}`);
+    } finally {
+      clearInterval(renewal);
+      if (lock) {
+        await releaseLock(lockKey, lock).catch(err => {
+          console.error(`Error releasing lock of job ${name}: ${err.message}`);
+        });
+      }
+    }
+  };
+
+  run();
+  setInterval(run, intervalMs);
+  console.log(`Scheduled job ${name} every ${intervalMs / 1000}s`);
+}
+
 // Keep your server listening code at the very bottom of the file
 const port = process.env.PORT || 3000;
 app.listen(port, () => {
   console.log(`Server running on port ${port}`);
+
+  scheduleJob(
+    'purge-account-deletions',
+    parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES || '60') * 60 * 1000,
+    purgeExpiredAccountDeletions
+  );
+
+  scheduleJob(
+    'data-exports',
+    parseInt(process.env.DATA_EXPORT_INTERVAL_SECONDS || '60') * 1000,
+    async () => {
+      await processPendingDataExports();
+      await expireDataExports();
+    }
+  );
+
+  scheduleJob(
+    'expiring-cards',
+    parseInt(process.env.CARD_EXPIRY_CHECK_INTERVAL_HOURS || '24') * 60 * 60 * 1000,
+    notifyExpiringCards
+  );
+
+  scheduleJob(
+    'expiring-authorizations',
+    parseInt(process.env.AUTHORIZATION_CHECK_INTERVAL_MINUTES || '60') * 60 * 1000,
+    flagExpiringAuthorizations
+  );
 });
\ No newline at end of file
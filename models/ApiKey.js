@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ApiKeySchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // SHA-256 of the full key; the key itself is only shown once at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Leading and trailing characters, to recognise the key in listings
+  prefix: {
+    type: String,
+    required: true
+  },
+  last4: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    // payments:write covers payment intents and checkout, stats:read the statistics endpoints
+    enum: ['payments:read', 'payments:write', 'stats:read']
+  }],
+  // Created from a session opened with a second factor
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ApiKeySchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const DataExportSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['json', 'zip'],
+    default: 'zip'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+  filePath: {
+    type: String
+  },
+  fileSize: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  // The download link stops working after this date and the file is removed
+  expiresAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+DataExportSchema.index({ userId: 1, createdAt: -1 });
+DataExportSchema.index({ status: 1 });
+
+module.exports = mongoose.model('DataExport', DataExportSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Login history. Whether a session is still valid is decided by its Redis record;
+// this collection keeps where and when it was used.
+const SessionSchema = new Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  // SHA-256 of the user agent, used to recognise new devices
+  deviceHash: {
+    type: String
+  },
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+  // Set for read-only sessions that support staff opened as this user
+  impersonatorId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+});
+
+SessionSchema.index({ userId: 1, createdAt: -1 });
+SessionSchema.index({ userId: 1, deviceHash: 1 });
+// Keep the history for 90 days after the session ended
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -17,10 +17,18 @@
 const mongoose = require('mongoose');
 
 const AddressSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
   street: {
     type: String,
     trim: true
   },
+  line2: {
+    type: String,
+    trim: true
+  },
   city: {
     type: String,
     trim: true
@@ -38,16 +46,69 @@ const AddressSchema = new mongoose.Schema({
     trim: true,
     default: 'US'
   },
+  phone: {
+    type: String,
+    trim: true
+  },
   isDefault: {
     type: Boolean,
     default: false
   }
 }, { _id: true, timestamps: true });
 
+const RefundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true
+  },
+  // In the smallest currency unit, like the payment amount
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String
+  },
+  reason: {
+    type: String
+  },
+  note: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'requires_action', 'succeeded', 'failed', 'canceled'],
+    required: true
+  },
+  // Admin who issued the refund; not set for refunds made in the Stripe dashboard
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const PaymentHistorySchema = new mongoose.Schema({
+  // Store credit added to or taken from the customer balance is recorded here too
+  type: {
+    type: String,
+    enum: ['payment', 'balance_credit', 'balance_debit'],
+    default: 'payment'
+  },
   paymentIntentId: {
     type: String,
-    required: true
+    required: function() {
+      return this.type === 'payment';
+    }
+  },
+  balanceTransactionId: {
+    type: String
+  },
+  description: {
+    type: String
   },
   amount: {
     type: Number,
@@ -59,15 +120,24 @@ const PaymentHistorySchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['succeeded', 'processing', 'failed', 'canceled'],
+    enum: ['succeeded', 'processing', 'requires_action', 'failed', 'canceled', 'partially_refunded', 'refunded'],
     required: true
   },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  refunds: [RefundSchema],
   paymentMethodId: {
     type: String
   },
   paymentMethodLast4: {
     type: String
   },
+  // card, sepa_debit, us_bank_account, ideal, ...
+  paymentMethodType: {
+    type: String
+  },
   invoiceId: {
     type: String
   },
@@ -82,6 +152,18 @@ const PaymentHistorySchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Promotion code applied to an order. Stripe redeemed it for hosted checkout; for
+// /checkout it was only taken off the amount, and these lines count the redemptions.
+const orderDiscountSchema = new mongoose.Schema({
+  code: String,
+  promotionCodeId: String,
+  couponId: String,
+  percentOff: Number,
+  amountOff: Number,
+  // Amount taken off, in the smallest currency unit
+  amount: Number
+}, { _id: false });
+
 const orderItemSchema = new mongoose.Schema({
   name: String,
   description: String,
@@ -105,9 +187,17 @@ const addressSchema = new mongoose.Schema({
 
 const orderSchema = new mongoose.Schema({
   orderId: { type: String, required: true },
-  paymentIntentId: { type: String, required: true },
+  // Not set when the customer balance paid for the whole order
+  paymentIntentId: String,
   customerId: { type: String, required: true },
   totalAmount: { type: Number, required: true },
+  // Before the discount and store credit; totalAmount is what the payment method was charged
+  subtotalAmount: Number,
+  discount: orderDiscountSchema,
+  // Store credit used for the order, taken off before the card is charged
+  balanceApplied: Number,
+  balanceTransactionId: String,
+  balanceRestoredAt: Date,
   currency: { type: String, required: true, default: 'usd' },
   items: [orderItemSchema],
   shippingAddress: addressSchema,
@@ -116,6 +206,20 @@ const orderSchema = new mongoose.Schema({
   paymentStatus: { type: String, required: true },
   paymentMethodId: String,
   paymentMethodLast4: String,
+  paymentMethodType: String,
+  amountRefunded: { type: Number, default: 0 },
+  refunds: [RefundSchema],
+  // Manual capture: the card is authorized at checkout and charged later
+  captureMethod: { type: String, enum: ['automatic', 'manual'], default: 'automatic' },
+  amountCaptured: Number,
+  authorizedAt: Date,
+  captureBefore: Date,
+  capturedAt: Date,
+  releasedAt: Date,
+  authorizationExpiryFlaggedAt: Date,
+  // Orders placed through hosted checkout (a Checkout Session, possibly from a Payment Link)
+  checkoutSessionId: String,
+  paymentLinkId: String,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date }
 });
@@ -152,6 +256,11 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Last time paymentMethods was reloaded from Stripe
+  paymentMethodsSyncedAt: {
+    type: Date,
+    default: null
+  },
   paymentMethods: [{
     paymentMethodId: {
       type: String,
@@ -169,9 +278,18 @@ const UserSchema = new mongoose.Schema({
     expYear: {
       type: Number
     },
+    // Stripe's fingerprint of the card number, the same for every copy of a card
+    fingerprint: {
+      type: String
+    },
     isDefault: {
       type: Boolean,
       default: false
+    },
+    // Set once the user was warned that the card expires soon
+    expiryNotifiedAt: {
+      type: Date,
+      default: null
     }
   }],
   addresses: [AddressSchema],
@@ -218,9 +336,19 @@ const UserSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  accountDeletionReason: {
+    type: String,
+    default: null
+  },
+  // Set when the deletion request turned off the subscription's renewal
+  accountDeletionStoppedRenewal: {
+    type: Boolean,
+    default: false
+  },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    // support is read-only, finance only sees statistics
+    enum: ['user', 'admin', 'billing_admin', 'support', 'finance'],
     default: 'user'
   },
   isEmailVerified: {
@@ -230,19 +358,70 @@ const UserSchema = new mongoose.Schema({
   emailVerificationToken: {
     type: String
   },
+  // New email address waiting for verification before it replaces `email`
+  pendingEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Verification token for `pendingEmail`, kept apart from the one for `email`
+  pendingEmailVerificationToken: {
+    type: String
+  },
   passwordResetToken: {
     type: String
   },
   passwordResetExpires: {
     type: Date
   },
+  passwordChangedAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication. The secret is stored encrypted and is only
+  // active once the first code has been verified.
+  mfaEnabled: {
+    type: Boolean,
+    default: false
+  },
+  mfaSecret: {
+    type: String,
+    default: null
+  },
+  mfaEnabledAt: {
+    type: Date,
+    default: null
+  },
+  // SHA-256 hashes of the unused recovery codes
+  mfaRecoveryCodes: {
+    type: [String],
+    default: []
+  },
   active: {
     type: Boolean,
     default: true
   },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -267,6 +446,172 @@ UserSchema.methods.hasPaymentMethod = function(paymentMethodId) {
   return this.paymentMethods.some(method => method.paymentMethodId === paymentMethodId);
 };
 
+// Copy a Stripe card PaymentMethod into paymentMethods, adding or updating it
+UserSchema.methods.mirrorPaymentMethod = function(paymentMethod) {
+  const card = paymentMethod.card || {};
+  const fields = {
+    brand: card.brand,
+    last4: card.last4,
+    expMonth: card.exp_month,
+    expYear: card.exp_year,
+    fingerprint: card.fingerprint
+  };
+
+  const existing = this.paymentMethods.find(method => method.paymentMethodId === paymentMethod.id);
+  if (existing) {
+    // A new expiry date deserves a new warning
+    if (existing.expMonth !== fields.expMonth || existing.expYear !== fields.expYear) {
+      existing.expiryNotifiedAt = null;
+    }
+    existing.set(fields);
+    return existing;
+  }
+
+  this.paymentMethods.push({ paymentMethodId: paymentMethod.id, ...fields });
+  return this.paymentMethods[this.paymentMethods.length - 1];
+};
+
+// Remove a payment method from paymentMethods (and as default)
+UserSchema.methods.removePaymentMethod = function(paymentMethodId) {
+  const count = this.paymentMethods.length;
+  this.paymentMethods = this.paymentMethods.filter(method => method.paymentMethodId !== paymentMethodId);
+
+  if (this.defaultPaymentMethodId === paymentMethodId) {
+    this.defaultPaymentMethodId = null;
+  }
+
+  return this.paymentMethods.length !== count;
+};
+
+// Mirror a payment method and write just that entry to the database. Requests and
+// webhooks mirror the same card at the same time; saving the whole user could add it twice.
+UserSchema.methods.savePaymentMethod = async function(paymentMethod) {
+  const existing = this.paymentMethods.find(method => method.paymentMethodId === paymentMethod.id);
+  const expiryChanged = existing &&
+    (existing.expMonth !== paymentMethod.card?.exp_month || existing.expYear !== paymentMethod.card?.exp_year);
+  const mirrored = this.mirrorPaymentMethod(paymentMethod);
+  const fields = {
+    brand: mirrored.brand,
+    last4: mirrored.last4,
+    expMonth: mirrored.expMonth,
+    expYear: mirrored.expYear,
+    fingerprint: mirrored.fingerprint
+  };
+
+  const added = await this.constructor.updateOne(
+    { _id: this._id, 'paymentMethods.paymentMethodId': { $ne: paymentMethod.id } },
+    {
+      $push: {
+        paymentMethods: {
+          paymentMethodId: paymentMethod.id,
+          ...fields,
+          isDefault: this.defaultPaymentMethodId === paymentMethod.id
+        }
+      }
+    }
+  );
+
+  if (added.modifiedCount === 0) {
+    const update = {};
+    for (const [field, value] of Object.entries(fields)) {
+      update[`paymentMethods.$.${field}`] = value;
+    }
+    if (expiryChanged) {
+      update['paymentMethods.$.expiryNotifiedAt'] = null;
+    }
+    await this.constructor.updateOne(
+      { _id: this._id, 'paymentMethods.paymentMethodId': paymentMethod.id },
+      { $set: update }
+    );
+  }
+
+  return mirrored;
+};
+
+// Make a payment method the default, writing only the default fields
+UserSchema.methods.saveDefaultPaymentMethod = async function(paymentMethodId) {
+  this.defaultPaymentMethodId = paymentMethodId;
+  this.paymentMethods.forEach(method => {
+    method.isDefault = method.paymentMethodId === paymentMethodId;
+  });
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: {
+        defaultPaymentMethodId: paymentMethodId,
+        'paymentMethods.$[other].isDefault': false,
+        'paymentMethods.$[chosen].isDefault': true
+      }
+    },
+    { arrayFilters: [{ 'other.paymentMethodId': { $ne: paymentMethodId } }, { 'chosen.paymentMethodId': paymentMethodId }] }
+  );
+};
+
+// Remove a payment method (and as default), writing only that change
+UserSchema.methods.deletePaymentMethod = async function(paymentMethodId) {
+  const removed = this.removePaymentMethod(paymentMethodId);
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { paymentMethods: { paymentMethodId } } }
+  );
+  await this.constructor.updateOne(
+    { _id: this._id, defaultPaymentMethodId: paymentMethodId },
+    { $set: { defaultPaymentMethodId: null } }
+  );
+
+  return removed;
+};
+
+// Reload paymentMethods and the default payment method from Stripe, which is the
+// source of truth. Returns what had drifted.
+UserSchema.methods.refreshPaymentMethods = async function(stripeClient, { save = true } = {}) {
+  const [stripePaymentMethods, customer] = await Promise.all([
+    stripeClient.paymentMethods
+      .list({ customer: this.customerId, type: 'card', limit: 100 })
+      .autoPagingToArray({ limit: 10000 }),
+    stripeClient.customers.retrieve(this.customerId)
+  ]);
+
+  const changes = { added: [], updated: [], removed: [], defaultChanged: false };
+  const stripeIds = new Set(stripePaymentMethods.map(paymentMethod => paymentMethod.id));
+
+  this.paymentMethods
+    .filter(method => !stripeIds.has(method.paymentMethodId))
+    .forEach(method => changes.removed.push(method.paymentMethodId));
+  this.paymentMethods = this.paymentMethods.filter(method => stripeIds.has(method.paymentMethodId));
+
+  const snapshot = method => [method.brand, method.last4, method.expMonth, method.expYear, method.fingerprint].join('|');
+  for (const paymentMethod of stripePaymentMethods) {
+    const existing = this.paymentMethods.find(method => method.paymentMethodId === paymentMethod.id);
+    const before = existing ? snapshot(existing) : null;
+    const mirrored = this.mirrorPaymentMethod(paymentMethod);
+
+    if (!existing) {
+      changes.added.push(paymentMethod.id);
+    } else if (before !== snapshot(mirrored)) {
+      changes.updated.push(paymentMethod.id);
+    }
+  }
+
+  // Keep a locally set default when Stripe has none, as long as the card still exists
+  const stripeDefault = customer.deleted ? null : customer.invoice_settings?.default_payment_method;
+  const defaultPaymentMethodId = [stripeDefault, this.defaultPaymentMethodId]
+    .find(id => id && stripeIds.has(id)) || null;
+  if (this.defaultPaymentMethodId !== defaultPaymentMethodId) {
+    changes.defaultChanged = true;
+    this.defaultPaymentMethodId = defaultPaymentMethodId;
+  }
+
+  this.paymentMethodsSyncedAt = new Date();
+  if (save) {
+    await this.save();
+  }
+
+  return changes;
+};
+
 // Add a pre-save hook to ensure only one default address
 UserSchema.pre('save', function(next) {
   if (this.isModified('addresses')) {
@@ -282,12 +627,10 @@ UserSchema.pre('save', function(next) {
   }
 
   // Ensure only one default payment method
-  if (this.isModified('paymentMethods')) {
-    if (this.defaultPaymentMethodId) {
-      this.paymentMethods.forEach(method => {
-        method.isDefault = method.paymentMethodId === this.defaultPaymentMethodId;
-      });
-    }
+  if (this.isModified('paymentMethods') || this.isModified('defaultPaymentMethodId')) {
+    this.paymentMethods.forEach(method => {
+      method.isDefault = !!this.defaultPaymentMethodId && method.paymentMethodId === this.defaultPaymentMethodId;
+    });
   }
 
   next();
@@ -296,5 +639,6 @@ UserSchema.pre('save', function(next) {
 // Add only the indexes that aren't automatically created
 UserSchema.index({ customerId: 1 });
 UserSchema.index({ subscriptionStatus: 1 });
+UserSchema.index({ accountDeletionRequested: 1, accountDeletionRequestedAt: 1 });
 
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,58 @@
+// Repairs drift between User.paymentMethods and the customer's payment methods in Stripe.
+//
+// Usage: node scripts/reconcile-payment-methods.js [--dry-run] [--email user@example.com]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const stripe = require('stripe');
+const User = require('../models/User');
+
+dotenv.config();
+
+const stripeClient = stripe(process.env.STRIPE_SECRET_KEY);
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const emailIndex = args.indexOf('--email');
+const email = emailIndex >= 0 ? args[emailIndex + 1] : null;
+
+async function reconcile() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const filter = { customerId: { $exists: true } };
+  if (email) filter.email = email.toLowerCase().trim();
+
+  let checked = 0;
+  let drifted = 0;
+  let failed = 0;
+
+  for await (const user of User.find(filter).cursor()) {
+    checked++;
+
+    try {
+      const changes = await user.refreshPaymentMethods(stripeClient, { save: !dryRun });
+      const hasDrift = changes.added.length || changes.updated.length || changes.removed.length || changes.defaultChanged;
+
+      if (hasDrift) {
+        drifted++;
+        console.log(`${user.email}: added ${changes.added.length}, updated ${changes.updated.length}, removed ${changes.removed.length}` +
+          (changes.defaultChanged ? `, default is now ${user.defaultPaymentMethodId}` : ''));
+      }
+    } catch (err) {
+      failed++;
+      console.error(`${user.email}: ${err.message}`);
+    }
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Checked ${checked} users, ${drifted} had drifted, ${failed} failed`);
+  return failed;
+}
+
+reconcile()
+  .then(failed => {
+    process.exitCode = failed > 0 ? 1 : 0;
+  })
+  .catch(err => {
+    console.error('Reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());